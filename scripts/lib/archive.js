@@ -0,0 +1,179 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const unzipper = require('unzipper');
+const iconv = require('iconv-lite');
+const { isValidUtf8 } = require('./encoding');
+const { resolveEntryPath, ExtractionBudget, limitBytes } = require('./guards');
+
+// ZIP entry names are raw bytes. unzipper always reads them as UTF-8, which
+// garbles archives made by Chinese Windows tools (GBK names, no UTF-8 flag),
+// so we read the central directory ourselves to recover the real names.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const UTF8_FLAG = 0x800;
+const UNICODE_PATH_EXTRA_ID = 0x7075;
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// Info-ZIP Unicode Path extra field: version, CRC32 of the raw name, UTF-8 name.
+// The CRC guards against archives renamed by tools that ignore the field.
+function readUnicodePathField(extra, nameBuffer) {
+  let offset = 0;
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset);
+    const size = extra.readUInt16LE(offset + 2);
+    const data = extra.subarray(offset + 4, offset + 4 + size);
+    if (id === UNICODE_PATH_EXTRA_ID && data.length >= 5 && data[0] === 1 &&
+        data.readUInt32LE(1) === crc32(nameBuffer)) {
+      return data.subarray(5).toString('utf8');
+    }
+    offset += 4 + size;
+  }
+  return null;
+}
+
+function decodeEntryName(nameBuffer, flags, extra) {
+  if (flags & UTF8_FLAG) {
+    return { name: nameBuffer.toString('utf8'), nameEncoding: 'utf8' };
+  }
+
+  const unicodeName = readUnicodePathField(extra, nameBuffer);
+  if (unicodeName) {
+    return { name: unicodeName, nameEncoding: 'unicode-extra-field' };
+  }
+
+  // Plenty of tools write UTF-8 without setting the flag
+  if (isValidUtf8(nameBuffer)) {
+    return { name: nameBuffer.toString('utf8'), nameEncoding: 'utf8' };
+  }
+
+  const gbkName = iconv.decode(nameBuffer, 'gbk');
+  if (!gbkName.includes('�')) {
+    return { name: gbkName, nameEncoding: 'gbk' };
+  }
+
+  return { name: iconv.decode(nameBuffer, 'cp437'), nameEncoding: 'cp437' };
+}
+
+async function readRange(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  await handle.read(buffer, 0, length, position);
+  return buffer;
+}
+
+async function locateCentralDirectory(handle, fileSize) {
+  const tailLength = Math.min(fileSize, MAX_EOCD_SEARCH);
+  const tailStart = fileSize - tailLength;
+  const tail = await readRange(handle, tailStart, tailLength);
+
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) !== EOCD_SIGNATURE) continue;
+
+    let size = tail.readUInt32LE(i + 12);
+    let offset = tail.readUInt32LE(i + 16);
+
+    if (offset === 0xffffffff && i >= 20 && tail.readUInt32LE(i - 20) === ZIP64_LOCATOR_SIGNATURE) {
+      const zip64Offset = Number(tail.readBigUInt64LE(i - 12));
+      const zip64Record = await readRange(handle, zip64Offset, 56);
+      size = Number(zip64Record.readBigUInt64LE(40));
+      offset = Number(zip64Record.readBigUInt64LE(48));
+    }
+
+    return { size, offset };
+  }
+
+  throw new Error('End of central directory not found');
+}
+
+// List entries in central directory order, which is also the order
+// unzipper.Open reports them in
+async function readZipEntryNames(zipPath) {
+  const handle = await fs.promises.open(zipPath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const directory = await locateCentralDirectory(handle, fileSize);
+    const records = await readRange(handle, directory.offset, directory.size);
+
+    const entries = [];
+    let offset = 0;
+    while (offset + 46 <= records.length && records.readUInt32LE(offset) === CENTRAL_HEADER_SIGNATURE) {
+      const flags = records.readUInt16LE(offset + 8);
+      const nameLength = records.readUInt16LE(offset + 28);
+      const extraLength = records.readUInt16LE(offset + 30);
+      const commentLength = records.readUInt16LE(offset + 32);
+      const nameBuffer = records.subarray(offset + 46, offset + 46 + nameLength);
+      const extra = records.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+
+      entries.push({
+        ...decodeEntryName(nameBuffer, flags, extra),
+        rawName: nameBuffer.toString('hex')
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Extract every file entry under its decoded name. Returns the entries that
+// were written, each with `name`, `rawName` (hex bytes) and `nameEncoding`.
+// The whole archive is rejected when an entry would land outside `destDir`
+// or the central directory adds up to more than `budget` allows.
+async function extractZip(zipPath, destDir, budget = new ExtractionBudget()) {
+  const archiveName = path.basename(zipPath);
+  const directory = await unzipper.Open.file(zipPath);
+  const names = await readZipEntryNames(zipPath);
+  if (names.length !== directory.files.length) {
+    throw new Error(`Central directory of ${archiveName} does not match its entries`);
+  }
+
+  const files = [];
+  for (const [index, file] of directory.files.entries()) {
+    const entry = names[index];
+    if (file.type !== 'File' || entry.name.endsWith('/')) continue;
+
+    const outputPath = resolveEntryPath(destDir, entry.name);
+    if (!outputPath) {
+      throw new Error(`Unsafe entry path in ${archiveName}: ${entry.name}`);
+    }
+    files.push({ file, entry, outputPath });
+  }
+  budget.charge(archiveName, files.length, files.reduce((total, { file }) => total + file.uncompressedSize, 0));
+
+  const extracted = [];
+  for (const { file, entry, outputPath } of files) {
+    await fs.ensureDir(path.dirname(outputPath));
+    await pipeline(
+      file.stream(),
+      limitBytes(file.uncompressedSize, `${entry.name} in ${archiveName}`),
+      fs.createWriteStream(outputPath)
+    );
+    extracted.push(entry);
+  }
+  return extracted;
+}
+
+module.exports = {
+  decodeEntryName,
+  readZipEntryNames,
+  extractZip
+};
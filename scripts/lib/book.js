@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { HeadingScanner, isHeading, isVolumeHeading } = require('./headings');
+const { ChapterSegmenter } = require('./chapters');
+const { detectFileEncoding, readLines } = require('./encoding');
+const { createConverter, convertLines } = require('./conversion');
+const { ContentCleaner } = require('./cleaner');
+const { ChapterValidator } = require('./validation');
+const { buildBookMetadata } = require('./metadata');
+const { isIndented } = require('./paragraphs');
+const { createBookWriter, createExportWriter } = require('./writers');
+
+// Processing a TXT file takes two streaming passes: the first hashes the raw
+// bytes and counts heading candidates, the second splits chapters and writes
+// them out one at a time. Memory use stays at roughly one chapter.
+//
+// A book split over several files (上/中/下 parts) is read as one stream,
+// part after part, each decoded with its own detected encoding.
+
+// Bump whenever the same input would produce different output, so
+// incremental runs rebuild books made by an older parser
+const PARSER_VERSION = 7;
+
+// Cleaning, chapter splitting and validation of one book's decoded lines.
+// `push` and `end` return the segmenter's events (see chapters.js) without
+// the chapters the validator drops.
+class BookParser {
+  constructor(detector, { cleaning, paragraphs = false, dedupe = false } = {}) {
+    this.segmenter = new ChapterSegmenter(detector, { paragraphs });
+    this.cleaner = new ContentCleaner(cleaning, {
+      protect: line => isHeading(detector, line) || isVolumeHeading(detector, line)
+    });
+    this.validator = new ChapterValidator({ dedupe });
+  }
+
+  push(line) {
+    const cleaned = this.cleaner.clean(line);
+    return cleaned === null ? [] : this.filter(this.segmenter.push(cleaned, isIndented(line)));
+  }
+
+  end() {
+    return this.filter(this.segmenter.end());
+  }
+
+  filter(events) {
+    return events.filter(event => event.type !== 'chapter' || this.validator.check(event.chapter));
+  }
+}
+
+async function* readBookLines(parts, convert, onData) {
+  for (const part of parts) {
+    const input = fs.createReadStream(part.path);
+    if (onData) input.on('data', onData);
+    yield* convertLines(readLines(input, part.encoding), convert);
+  }
+}
+
+async function scanFile(parts, convert, candidates) {
+  const hash = crypto.createHash('sha256');
+  const scanner = new HeadingScanner(candidates);
+
+  for await (const line of readBookLines(parts, convert, chunk => hash.update(chunk))) {
+    scanner.push(line);
+  }
+
+  return { hash: hash.digest('hex'), detector: scanner.best() || candidates[0] };
+}
+
+// Writes the book read from `input` (a file path, or the paths of its parts
+// in order) next to `outputBase` (`<base>.json`, or a `<base>/` directory in
+// split mode), plus `<base>.epub` etc. for each of `options.exports`.
+// Returns `{ metadata, detector, volumeCount, entryFile, outputPath, exports,
+// compression }`, or null when no chapters were found; nothing is written then.
+async function processBook(input, outputBase, options) {
+  const { candidates, format, formatVersion, outputMode, packSize, source, exports = [], conversion = 'none', cleaning, paragraphs, dedupe } = options;
+  const convert = createConverter(conversion);
+
+  const parts = [];
+  for (const filePath of Array.isArray(input) ? input : [input]) {
+    const { encoding, confidence } = await detectFileEncoding(filePath, options.encoding);
+    parts.push({ path: filePath, encoding, confidence });
+  }
+  const { hash, detector } = await scanFile(parts, convert, candidates);
+
+  const writer = createBookWriter(outputBase, {
+    outputMode,
+    packSize,
+    format,
+    formatVersion,
+    headingPattern: detector.name
+  });
+  const exportWriters = exports.map(exportFormat => createExportWriter(outputBase, exportFormat, { format }));
+  const writers = [writer, ...exportWriters];
+  const each = async (method, ...args) => {
+    for (const target of writers) {
+      await target[method](...args);
+    }
+  };
+  const parser = new BookParser(detector, { cleaning, paragraphs, dedupe });
+  const stats = { preface: null, chapterCount: 0, characterCount: 0 };
+  let volumeCount = 0;
+
+  const handle = async events => {
+    for (const event of events) {
+      if (event.type === 'preface') {
+        stats.preface = event.preface;
+        await each('writePreface', event.preface);
+      } else if (event.type === 'volume') {
+        volumeCount++;
+        await each('writeVolume', event.volume);
+      } else {
+        stats.chapterCount++;
+        stats.characterCount += event.chapter.characterCount;
+        await each('writeChapter', event.chapter);
+      }
+    }
+  };
+
+  try {
+    await each('open');
+    for await (const line of readBookLines(parts, convert)) {
+      await handle(parser.push(line));
+    }
+    await handle(parser.end());
+  } catch (error) {
+    await each('abort');
+    throw error;
+  }
+
+  if (stats.chapterCount === 0) {
+    await each('abort');
+    return null;
+  }
+
+  const metadata = buildBookMetadata(stats, {
+    ...source,
+    encoding: parts[0].encoding,
+    encodingConfidence: parts[0].confidence,
+    parts: parts.length > 1
+      ? parts.map((part, index) => ({
+        ...(source.parts ? source.parts[index] : {}),
+        encoding: part.encoding,
+        encodingConfidence: part.confidence
+      }))
+      : undefined,
+    conversion,
+    cleaning: parser.cleaner.report(),
+    validation: parser.validator.report(),
+    hash
+  });
+  // Titles taken from the file name have not been through the converter yet
+  metadata.title = convert(metadata.title);
+  if (metadata.author) metadata.author = convert(metadata.author);
+  await each('close', metadata);
+
+  return {
+    metadata,
+    detector,
+    volumeCount,
+    entryFile: writer.entryFile,
+    outputPath: writer.outputPath,
+    exports: exports.map((exportFormat, index) => ({ format: exportFormat, outputPath: exportWriters[index].outputPath })),
+    compression: writer.stats
+  };
+}
+
+// Removes the temporary files of a processBook run that never got to clean
+// up after itself, such as one in a worker that was stopped
+async function abortBook(outputBase, { format, formatVersion, outputMode, packSize, exports = [] }) {
+  const writers = [
+    createBookWriter(outputBase, { outputMode, packSize, format, formatVersion }),
+    ...exports.map(exportFormat => createExportWriter(outputBase, exportFormat, { format }))
+  ];
+  for (const writer of writers) {
+    await writer.abort();
+  }
+}
+
+module.exports = {
+  PARSER_VERSION,
+  BookParser,
+  processBook,
+  abortBook
+};
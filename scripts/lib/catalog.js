@@ -0,0 +1,71 @@
+const fs = require('fs-extra');
+const path = require('path');
+const log = require('./logger');
+
+// result/index.json lists every processed book. Runs that only touch some
+// books update their entries and leave the rest alone.
+const CATALOG_FILE = 'index.json';
+
+// What the front end needs to list a book and open it. The cleaning and
+// validation reports stay in the book's own metadata.
+const ENTRY_FIELDS = [
+  'id',
+  'title',
+  'author',
+  'sourceFile',
+  'sourceZip',
+  'chapterCount',
+  'characterCount',
+  'encoding',
+  'hash',
+  'processedAt',
+  'file',
+  'exports'
+];
+
+function createCatalogEntry(fields) {
+  return Object.fromEntries(ENTRY_FIELDS.filter(key => fields[key] !== undefined).map(key => [key, fields[key]]));
+}
+
+async function loadCatalog(resultDir) {
+  const catalogPath = path.join(resultDir, CATALOG_FILE);
+  if (!(await fs.pathExists(catalogPath))) {
+    return { books: [] };
+  }
+
+  try {
+    const catalog = await fs.readJson(catalogPath);
+    return { books: Array.isArray(catalog.books) ? catalog.books : [] };
+  } catch (error) {
+    log.warn(`Ignoring unreadable ${CATALOG_FILE}: ${error.message}`);
+    return { books: [] };
+  }
+}
+
+function updateCatalog(catalog, entries, removedIds = []) {
+  const books = new Map(catalog.books.map(book => [book.id, book]));
+  for (const id of removedIds) {
+    books.delete(id);
+  }
+  for (const entry of entries) {
+    books.set(entry.id, entry);
+  }
+
+  // Entries written before the catalog was trimmed lose their extra fields too
+  return {
+    updatedAt: new Date().toISOString(),
+    books: [...books.values()].map(book => createCatalogEntry(book)).sort((a, b) => a.id.localeCompare(b.id))
+  };
+}
+
+async function saveCatalog(resultDir, catalog) {
+  await fs.writeJson(path.join(resultDir, CATALOG_FILE), catalog, { spaces: 2 });
+}
+
+module.exports = {
+  CATALOG_FILE,
+  createCatalogEntry,
+  loadCatalog,
+  updateCatalog,
+  saveCatalog
+};
@@ -0,0 +1,158 @@
+const { isHeading, isVolumeHeading } = require('./headings');
+const { parsePreface } = require('./preface');
+const { buildParagraphs } = require('./paragraphs');
+const { countCharacters, countWords } = require('./metadata');
+const { parseHeading } = require('./numerals');
+
+// Headings outlive the text they were read from (tables of contents, the
+// validator), and a trimmed line can be a slice that keeps the whole decoded
+// chunk alive, so they are copied into strings of their own
+function copyHeading(line) {
+  return Buffer.from(line.trim(), 'utf8').toString('utf8');
+}
+
+function cleanChapterContent(lines) {
+  return lines.join('\n').trim()
+    .replace(/^\s*\n/, '')
+    .replace(/\n\s*$/, '');
+}
+
+// Turns a stream of lines into preface, volume and chapter events. Only the
+// chapter being read is held in memory, so books of any size can be split.
+//
+// `push` and `end` return the events completed by that line, in order:
+//   { type: 'preface', preface }  - once, before any volume or chapter
+//   { type: 'volume', volume }    - `{ title, content? }`, before its chapters
+//   { type: 'chapter', chapter }  - `{ title, number, name, content,
+//                                     characterCount, wordCount }`
+//
+// `number` and `name` split the title into its heading number and subtitle
+// (`第十二章 标题` gives 12 and '标题'); unnumbered headings get a null number.
+//
+// With `paragraphs: true` chapters carry `paragraphs: string[]` instead of
+// `content`; `push` then needs to know whether the raw line was indented.
+//
+// Chapters that appear before the first volume heading go into an untitled
+// volume, which is never emitted when the book has no such chapters.
+class ChapterSegmenter {
+  constructor(detector, { paragraphs = false } = {}) {
+    this.detector = detector;
+    this.paragraphs = paragraphs;
+    this.prefaceLines = [];
+    this.prefaceDone = false;
+    this.volume = null;
+    this.chapter = null;
+  }
+
+  push(line, indented = false) {
+    const events = [];
+
+    if (isVolumeHeading(this.detector, line)) {
+      this.finishPreface(events);
+      this.finishChapter(events);
+      this.finishVolume(events);
+      this.volume = { title: copyHeading(line), content: [], emitted: false };
+    } else if (isHeading(this.detector, line)) {
+      this.finishPreface(events);
+      this.finishChapter(events);
+      if (!this.volume) {
+        this.volume = { title: null, content: [], emitted: false };
+      }
+      this.emitVolume(events);
+      this.chapter = { title: copyHeading(line), content: [], indents: [] };
+    } else if (this.chapter) {
+      if (line.trim() || this.chapter.content.length > 0) {
+        this.chapter.content.push(line);
+        this.chapter.indents.push(indented);
+      }
+    } else if (this.volume) {
+      this.volume.content.push(line);
+    } else {
+      this.prefaceLines.push(line);
+    }
+
+    return events;
+  }
+
+  end() {
+    const events = [];
+    this.finishPreface(events);
+    this.finishChapter(events);
+    this.finishVolume(events);
+    return events;
+  }
+
+  finishPreface(events) {
+    if (this.prefaceDone) return;
+    this.prefaceDone = true;
+    const preface = parsePreface(this.prefaceLines);
+    this.prefaceLines = [];
+    if (preface) events.push({ type: 'preface', preface });
+  }
+
+  finishChapter(events) {
+    if (!this.chapter) return;
+    const content = cleanChapterContent(this.chapter.content);
+    const chapter = { title: this.chapter.title, ...parseHeading(this.chapter.title) };
+    if (this.paragraphs) {
+      chapter.paragraphs = buildParagraphs(this.chapter.content, this.chapter.indents);
+    } else {
+      chapter.content = content;
+    }
+    chapter.characterCount = countCharacters(content);
+    chapter.wordCount = countWords(content);
+    events.push({ type: 'chapter', chapter });
+    this.chapter = null;
+  }
+
+  // Titled volumes are kept even when they turn out to hold no chapters
+  finishVolume(events) {
+    if (this.volume && this.volume.title !== null) this.emitVolume(events);
+    this.volume = null;
+  }
+
+  emitVolume(events) {
+    if (this.volume.emitted) return;
+    this.volume.emitted = true;
+
+    const volume = { title: this.volume.title };
+    const content = cleanChapterContent(this.volume.content);
+    if (content) volume.content = content;
+    this.volume.content = [];
+    events.push({ type: 'volume', volume });
+  }
+}
+
+// Split an in-memory list of lines into `{ preface, volumes }`. `segmenter`
+// may be anything with the same `push` / `end`, such as a BookParser.
+function splitChapters(lines, detector, options, segmenter = new ChapterSegmenter(detector, options)) {
+  let preface = null;
+  const volumes = [];
+
+  const collect = events => {
+    for (const event of events) {
+      if (event.type === 'preface') {
+        preface = event.preface;
+      } else if (event.type === 'volume') {
+        volumes.push({ ...event.volume, chapters: [] });
+      } else {
+        volumes[volumes.length - 1].chapters.push(event.chapter);
+      }
+    }
+  };
+
+  for (const line of lines) collect(segmenter.push(line));
+  collect(segmenter.end());
+
+  return { preface, volumes };
+}
+
+function flattenVolumes(volumes) {
+  return volumes.flatMap(volume => volume.chapters);
+}
+
+module.exports = {
+  ChapterSegmenter,
+  splitChapters,
+  flattenVolumes
+};
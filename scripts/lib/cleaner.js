@@ -0,0 +1,190 @@
+const fs = require('fs-extra');
+
+// Rule-based cleanup of the decoded line stream, run before chapters are
+// split. Each rule either rewrites part of a line (`replace`) or drops the
+// whole line (`remove`). Lines the heading detector recognizes are never
+// removed, and runs of blank lines are collapsed to one.
+//
+// Removal rules only look at lines up to `maxLength` characters so that
+// prose which merely mentions, say, 最新 or a URL is left alone.
+
+const AD_LINE_LENGTH = 80;
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+  '&apos;': '\''
+};
+
+const BUILTIN_RULES = [
+  {
+    name: 'html-entities',
+    action: 'replace',
+    pattern: /&(?:nbsp|amp|lt|gt|quot|apos|#39);?/gi,
+    replacement: entity => HTML_ENTITIES[entity.toLowerCase().replace(/;?$/, ';')]
+  },
+  {
+    name: 'indentation',
+    action: 'replace',
+    pattern: /^\s+|\s+$/g,
+    replacement: ''
+  },
+  {
+    name: 'site-url',
+    action: 'remove',
+    pattern: /https?:\/\/|www\.|[a-z0-9-]+\.(?:com|net|org|cc|la|info|xyz|zip|tw|cn)(?:\/|\b)/i,
+    maxLength: AD_LINE_LENGTH
+  },
+  {
+    name: 'remember-domain',
+    action: 'remove',
+    pattern: /[请請][记記]住本站|本站域名|[记記]住[网網]址/,
+    maxLength: AD_LINE_LENGTH
+  },
+  {
+    name: 'mobile-reading',
+    action: 'remove',
+    pattern: /手[机機][阅閱][读讀]|手[机機][版用]|[阅閱][读讀][网網]址/,
+    maxLength: AD_LINE_LENGTH
+  },
+  {
+    name: 'latest-chapters',
+    action: 'remove',
+    pattern: /最新章[节節]|[无無][弹彈]窗|全文[阅閱][读讀]|[请請][关關]注.*[公众號号]/,
+    maxLength: AD_LINE_LENGTH
+  },
+  {
+    // Long rulers framing ads; short ones like *** can be scene breaks
+    name: 'separator-lines',
+    action: 'remove',
+    pattern: /^[=\-*_~—－＝#]{10,}$/
+  }
+];
+
+const BLANK_LINES_RULE = 'blank-lines';
+const BLOCKLIST_RULE = 'blocklist';
+
+const BUILTIN_RULE_NAMES = [...BUILTIN_RULES.map(rule => rule.name), BLANK_LINES_RULE];
+
+// User rules come from JSON files holding an array of
+// `{ name, pattern, flags, replace?, maxLength? }`: with `replace` the match
+// is rewritten, without it the line is dropped.
+function createRule(spec, index) {
+  if (!spec || !spec.pattern) {
+    throw new Error(`Invalid cleaning rule at index ${index}`);
+  }
+  const replace = typeof spec.replace === 'string';
+  const flags = spec.flags || '';
+  return {
+    name: spec.name || `custom-${index + 1}`,
+    action: replace ? 'replace' : 'remove',
+    pattern: new RegExp(spec.pattern, replace && !flags.includes('g') ? `${flags}g` : flags),
+    replacement: replace ? spec.replace : undefined,
+    maxLength: spec.maxLength
+  };
+}
+
+async function loadRuleFile(filePath) {
+  const rules = await fs.readJson(filePath);
+  if (!Array.isArray(rules)) {
+    throw new Error(`Cleaning rules in ${filePath} must be an array`);
+  }
+  return rules;
+}
+
+// Blocklists are plain text: one phrase per line, `#` starts a comment
+async function loadBlocklist(filePath) {
+  const text = await fs.readFile(filePath, 'utf8');
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+class ContentCleaner {
+  constructor({ enabled = true, disable = [], rules = [], blocklist = [] } = {}, { protect = () => false } = {}) {
+    this.protect = protect;
+    this.rules = [];
+    this.collapseBlankLines = false;
+    this.removed = {};
+    this.modified = {};
+    this.blank = false;
+
+    if (!enabled) return;
+
+    this.rules = BUILTIN_RULES.filter(rule => !disable.includes(rule.name));
+    this.rules.push(...rules.map(createRule));
+    if (blocklist.length > 0) {
+      this.blocklist = blocklist;
+    }
+    this.collapseBlankLines = !disable.includes(BLANK_LINES_RULE);
+  }
+
+  count(counts, name) {
+    counts[name] = (counts[name] || 0) + 1;
+  }
+
+  // Returns the cleaned line, or null when it should be dropped
+  clean(line) {
+    let text = line;
+
+    for (const rule of this.rules) {
+      if (rule.action !== 'replace') continue;
+      rule.pattern.lastIndex = 0;
+      if (!rule.pattern.test(text)) continue;
+      const replaced = text.replace(rule.pattern, rule.replacement);
+      if (replaced !== text) {
+        text = replaced;
+        this.count(this.modified, rule.name);
+      }
+    }
+
+    if (text.trim() && !this.protect(text)) {
+      const removedBy = this.removalRule(text);
+      if (removedBy) {
+        this.count(this.removed, removedBy);
+        return null;
+      }
+    }
+
+    if (!text.trim()) {
+      if (this.blank && this.collapseBlankLines) {
+        this.count(this.removed, BLANK_LINES_RULE);
+        return null;
+      }
+      this.blank = true;
+    } else {
+      this.blank = false;
+    }
+    return text;
+  }
+
+  removalRule(text) {
+    for (const rule of this.rules) {
+      if (rule.action !== 'remove') continue;
+      if (rule.maxLength && text.trim().length > rule.maxLength) continue;
+      rule.pattern.lastIndex = 0;
+      if (rule.pattern.test(text)) return rule.name;
+    }
+    if (this.blocklist && this.blocklist.some(phrase => text.includes(phrase))) {
+      return BLOCKLIST_RULE;
+    }
+    return null;
+  }
+
+  // Per-rule line counts, e.g.
+  // `{ removed: { 'site-url': 2, 'blank-lines': 30 }, modified: { indentation: 4120 } }`
+  report() {
+    return { removed: { ...this.removed }, modified: { ...this.modified } };
+  }
+}
+
+module.exports = {
+  BUILTIN_RULE_NAMES,
+  ContentCleaner,
+  loadRuleFile,
+  loadBlocklist
+};
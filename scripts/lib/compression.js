@@ -0,0 +1,157 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+
+// Output formats for book JSON. Zip archives hold a single `data.json`,
+// matching what the old CompressionManager produced.
+const FORMATS = {
+  json: { extension: '.json' },
+  'json.gz': { extension: '.json.gz' },
+  brotli: { extension: '.json.br' },
+  zip: { extension: '.zip' }
+};
+
+const ZIP_ENTRY = 'data.json';
+const GZIP_OPTIONS = { level: 9 };
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 } };
+const ZIP_OPTIONS = { compression: 'DEFLATE', compressionOptions: { level: 9 } };
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+function isFormat(format) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+function getExtension(format) {
+  if (!isFormat(format)) {
+    throw new Error(`Unknown output format: ${format}`);
+  }
+  return FORMATS[format].extension;
+}
+
+function emptyStats() {
+  return { originalSize: 0, compressedSize: 0, elapsedMs: 0 };
+}
+
+function addStats(total, stats) {
+  total.originalSize += stats.originalSize;
+  total.compressedSize += stats.compressedSize;
+  total.elapsedMs += stats.elapsedMs;
+  return total;
+}
+
+function formatStats(name, { originalSize, compressedSize, elapsedMs }) {
+  const ratio = originalSize ? ((compressedSize / originalSize) * 100).toFixed(1) : '0.0';
+  return [
+    `✓ ${name}`,
+    `Size: ${(originalSize / 1024).toFixed(2)}KB → ${(compressedSize / 1024).toFixed(2)}KB`,
+    `Ratio: ${ratio}%`,
+    `Time: ${elapsedMs.toFixed(2)}ms`
+  ].join(' | ');
+}
+
+async function compressBuffer(buffer, format) {
+  switch (format) {
+    case 'json':
+      return buffer;
+    case 'json.gz':
+      return gzip(buffer, GZIP_OPTIONS);
+    case 'brotli':
+      return brotliCompress(buffer, BROTLI_OPTIONS);
+    case 'zip': {
+      const zip = new JSZip();
+      zip.file(ZIP_ENTRY, buffer);
+      return zip.generateAsync({ type: 'nodebuffer', ...ZIP_OPTIONS });
+    }
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+}
+
+// Small files (split-mode chapters) are compressed in memory
+async function writeJsonFile(filePath, data, format) {
+  const startTime = process.hrtime.bigint();
+  const json = Buffer.from(JSON.stringify(data), 'utf8');
+  const output = await compressBuffer(json, format);
+  await fs.writeFile(filePath, output);
+
+  return {
+    originalSize: json.length,
+    compressedSize: output.length,
+    elapsedMs: Number(process.hrtime.bigint() - startTime) / 1e6
+  };
+}
+
+// Whole books are compressed file to file. json, json.gz and brotli stream;
+// JSZip buffers the entry while building a zip, so zip holds the book in memory
+async function compressFile(sourceFile, outputFile, format) {
+  const startTime = process.hrtime.bigint();
+
+  switch (format) {
+    case 'json':
+      await fs.copy(sourceFile, outputFile);
+      break;
+    case 'json.gz':
+      await pipeline(fs.createReadStream(sourceFile), zlib.createGzip(GZIP_OPTIONS), fs.createWriteStream(outputFile));
+      break;
+    case 'brotli':
+      await pipeline(fs.createReadStream(sourceFile), zlib.createBrotliCompress(BROTLI_OPTIONS), fs.createWriteStream(outputFile));
+      break;
+    case 'zip': {
+      const zip = new JSZip();
+      zip.file(ZIP_ENTRY, fs.createReadStream(sourceFile));
+      await pipeline(
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, ...ZIP_OPTIONS }),
+        fs.createWriteStream(outputFile)
+      );
+      break;
+    }
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+
+  return {
+    originalSize: (await fs.stat(sourceFile)).size,
+    compressedSize: (await fs.stat(outputFile)).size,
+    elapsedMs: Number(process.hrtime.bigint() - startTime) / 1e6
+  };
+}
+
+// Reader helper: loads book JSON written in any of the formats above,
+// picking the decoder from the file extension
+async function readJsonFile(filePath) {
+  const data = await fs.readFile(filePath);
+  const name = path.basename(filePath);
+
+  if (name.endsWith('.json.gz')) {
+    return JSON.parse((await gunzip(data)).toString('utf8'));
+  }
+  if (name.endsWith('.json.br')) {
+    return JSON.parse((await brotliDecompress(data)).toString('utf8'));
+  }
+  if (name.endsWith('.zip')) {
+    const zip = await JSZip.loadAsync(data);
+    const entry = zip.file(ZIP_ENTRY);
+    if (!entry) throw new Error(`${name} has no ${ZIP_ENTRY}`);
+    return JSON.parse(await entry.async('text'));
+  }
+  return JSON.parse(data.toString('utf8'));
+}
+
+module.exports = {
+  FORMATS,
+  isFormat,
+  getExtension,
+  emptyStats,
+  addStats,
+  formatStats,
+  writeJsonFile,
+  compressFile,
+  readJsonFile
+};
@@ -0,0 +1,43 @@
+// Traditional/Simplified conversion using opencc-js, which bundles the
+// OpenCC phrase and character tables so nothing is fetched at run time.
+// Conversion runs line by line right after decoding, so heading detection,
+// the preface and all outputs see the converted text.
+
+const CONVERSIONS = {
+  none: null,
+  s2t: { from: 'cn', to: 't' },
+  t2s: { from: 't', to: 'cn' }
+};
+
+const converters = new Map();
+
+function isConversion(conversion) {
+  return Object.prototype.hasOwnProperty.call(CONVERSIONS, conversion);
+}
+
+// Returns a `line => line` function; the identity when conversion is 'none'
+function createConverter(conversion = 'none') {
+  if (!isConversion(conversion)) {
+    throw new Error(`Unknown conversion: ${conversion}`);
+  }
+  if (!CONVERSIONS[conversion]) return line => line;
+
+  if (!converters.has(conversion)) {
+    const OpenCC = require('opencc-js');
+    converters.set(conversion, OpenCC.Converter(CONVERSIONS[conversion]));
+  }
+  return converters.get(conversion);
+}
+
+async function* convertLines(lines, convert) {
+  for await (const line of lines) {
+    yield convert(line);
+  }
+}
+
+module.exports = {
+  CONVERSIONS,
+  isConversion,
+  createConverter,
+  convertLines
+};
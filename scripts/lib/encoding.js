@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const readline = require('readline');
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+// Encoding detection: a BOM wins outright, then strictly valid UTF-8, then
+// every chardet candidate is decoded and scored on how much of the result
+// reads like CJK text rather than replacement or control characters.
+
+const SAMPLE_SIZE = 256 * 1024;
+const FALLBACK_ENCODINGS = ['gb18030'];
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf16be' }
+];
+
+const CJK_REGEX = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿　-〿＀-￯]/g;
+const REPLACEMENT_REGEX = /�/g;
+const CONTROL_REGEX = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g;
+
+// chardet and iconv-lite spell names differently (`UTF-16LE` vs `utf16le`)
+function normalizeEncodingName(name) {
+  return name.toLowerCase().replace(/^utf-(\d+)/, 'utf$1');
+}
+
+function isSupportedEncoding(name) {
+  return iconv.encodingExists(normalizeEncodingName(name));
+}
+
+function detectBom(buffer) {
+  return BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte)) || null;
+}
+
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function countMatches(text, regex) {
+  const matches = text.match(regex);
+  return matches ? matches.length : 0;
+}
+
+// Higher is better. CJK density dominates, broken characters are punished
+// hard, and chardet's own confidence breaks ties between CJK codepages.
+function scoreDecoding(text, confidence = 0) {
+  const visible = text.replace(/\s/g, '').length || 1;
+  const cjk = countMatches(text, CJK_REGEX) / visible;
+  const replacement = countMatches(text, REPLACEMENT_REGEX) / visible;
+  const control = countMatches(text, CONTROL_REGEX) / visible;
+  return cjk - 10 * replacement - 10 * control + confidence / 200;
+}
+
+function getCandidates(sample) {
+  const candidates = chardet.analyse(sample)
+    .map(({ name, confidence }) => ({ encoding: normalizeEncodingName(name), confidence }))
+    .filter(({ encoding }) => iconv.encodingExists(encoding));
+
+  for (const encoding of FALLBACK_ENCODINGS) {
+    if (!candidates.some(candidate => candidate.encoding === encoding)) {
+      candidates.push({ encoding, confidence: 0 });
+    }
+  }
+  return candidates;
+}
+
+// Drop an incomplete multi-byte sequence at the end of a UTF-8 sample
+function trimPartialUtf8(sample) {
+  let end = sample.length;
+  for (let i = 1; i <= 3 && end - i >= 0; i++) {
+    const byte = sample[end - i];
+    if ((byte & 0xc0) === 0xc0) return sample.subarray(0, end - i);
+    if ((byte & 0x80) === 0) break;
+  }
+  return sample;
+}
+
+function detectEncoding(buffer) {
+  const bom = detectBom(buffer);
+  if (bom) {
+    return { encoding: bom.encoding, confidence: 100, bom: true };
+  }
+
+  const sample = buffer.subarray(0, SAMPLE_SIZE);
+  // A sample cut mid-character is still UTF-8 if only the tail is broken
+  if (isValidUtf8(buffer.length < SAMPLE_SIZE ? sample : trimPartialUtf8(sample))) {
+    return { encoding: 'utf8', confidence: 100, bom: false };
+  }
+
+  let best = null;
+  for (const candidate of getCandidates(sample)) {
+    const score = scoreDecoding(iconv.decode(sample, candidate.encoding), candidate.confidence);
+    if (!best || score > best.score) {
+      best = { ...candidate, score };
+    }
+  }
+
+  return { encoding: best.encoding, confidence: best.confidence, bom: false };
+}
+
+function forcedEncoding(encoding) {
+  return { encoding: normalizeEncodingName(encoding), confidence: 100, bom: false };
+}
+
+// iconv-lite strips a leading BOM while decoding
+function decodeBuffer(buffer, encoding) {
+  const detected = encoding ? forcedEncoding(encoding) : detectEncoding(buffer);
+  return { content: iconv.decode(buffer, detected.encoding), ...detected };
+}
+
+// Detection only needs the head of the file, so large files are not read whole
+async function detectFileEncoding(filePath, encoding) {
+  if (encoding) return forcedEncoding(encoding);
+
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const sample = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(sample, 0, SAMPLE_SIZE, 0);
+    return detectEncoding(sample.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+// Async iterable over the decoded lines of a byte stream; handles CRLF
+function readLines(input, encoding) {
+  const decoded = input.pipe(iconv.decodeStream(encoding));
+  input.on('error', error => decoded.destroy(error));
+  return readline.createInterface({ input: decoded, crlfDelay: Infinity });
+}
+
+module.exports = {
+  detectEncoding,
+  decodeBuffer,
+  detectFileEncoding,
+  readLines,
+  isValidUtf8,
+  isSupportedEncoding,
+  scoreDecoding,
+  normalizeEncodingName
+};
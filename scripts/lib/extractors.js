@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { extractZip } = require('./archive');
+const { extractWithSevenZip } = require('./sevenzip');
+const { ExtractionBudget } = require('./guards');
+const log = require('./logger');
+
+// Archive extraction. Each extractor handles a set of file extensions and
+// unpacks one archive into a directory; extractArchive then walks the result
+// so TXT files in subfolders and in archives nested inside the archive (a
+// zip of zips, or the tar inside a .tar.gz) are all found.
+//
+// Extractors are called as `extract(archivePath, destDir, budget)`. They
+// must refuse entries outside `destDir` and charge `budget` (see guards.js)
+// before writing. They resolve to a list of `{ name, nameEncoding, rawName }`
+// for the entries they wrote when they know more about names than the file
+// system does (zip name decoding), or to nothing.
+
+// Nested archives deeper than this are left alone
+const MAX_DEPTH = 5;
+// Nested archives are unpacked next to themselves into `<name><suffix>/`
+const NESTED_SUFFIX = '.contents';
+
+const registry = [];
+
+function registerExtractor(name, extensions, extract) {
+  const extractor = { name, extensions, extract };
+  registry.push(extractor);
+  return extractor;
+}
+
+registerExtractor('zip', ['.zip'], extractZip);
+registerExtractor('7z', ['.7z', '.rar', '.tar', '.tar.gz', '.tgz', '.gz', '.tar.bz2', '.tbz2', '.bz2', '.tar.xz', '.txz', '.xz'], extractWithSevenZip);
+
+// The longest matching extension wins, so `.tar.gz` beats `.gz`
+function matchExtension(fileName) {
+  const lower = fileName.toLowerCase();
+  let best = null;
+  for (const extractor of registry) {
+    for (const extension of extractor.extensions) {
+      if (lower.endsWith(extension) && (!best || extension.length > best.extension.length)) {
+        best = { extractor, extension };
+      }
+    }
+  }
+  return best;
+}
+
+function findExtractor(fileName) {
+  const match = matchExtension(fileName);
+  return match ? match.extractor : null;
+}
+
+function isArchive(fileName) {
+  return matchExtension(fileName) !== null;
+}
+
+// `novel.tar.gz` -> `novel`
+function archiveBaseName(fileName) {
+  const match = matchExtension(fileName);
+  return match ? fileName.slice(0, fileName.length - match.extension.length) : fileName;
+}
+
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Unpacks `archivePath` into `destDir` and returns every TXT file found, as
+// `{ path, name, nameEncoding, rawName }`: `path` is where it now lives on
+// disk and `name` its path inside the archive, through any nested archives
+// (`inner.zip/part/book.txt`). `limits` caps the entries and bytes written
+// for the archive and all archives nested in it together.
+async function extractArchive(archivePath, destDir, { depth = 0, limits, budget = new ExtractionBudget(limits) } = {}) {
+  const extractor = findExtractor(archivePath);
+  if (!extractor) {
+    throw new Error(`Unsupported archive: ${path.basename(archivePath)}`);
+  }
+
+  await fs.ensureDir(destDir);
+  const entries = (await extractor.extract(archivePath, destDir, budget)) || [];
+  const entryNames = new Map(entries.map(entry => [entry.name, entry]));
+
+  const found = [];
+  for (const relative of await listFiles(destDir)) {
+    const filePath = path.join(destDir, ...relative.split('/'));
+
+    if (isArchive(relative)) {
+      if (depth + 1 > MAX_DEPTH) {
+        log.warn(`Skipping ${relative} in ${path.basename(archivePath)}: archives nested more than ${MAX_DEPTH} deep`);
+        continue;
+      }
+      const nested = await extractArchive(filePath, `${filePath}${NESTED_SUFFIX}`, { depth: depth + 1, budget });
+      found.push(...nested.map(entry => ({ ...entry, name: `${relative}/${entry.name}` })));
+    } else if (relative.toLowerCase().endsWith('.txt')) {
+      const entry = entryNames.get(relative);
+      found.push({
+        path: filePath,
+        name: relative,
+        nameEncoding: entry ? entry.nameEncoding : 'utf8',
+        rawName: entry ? entry.rawName : undefined
+      });
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  isArchive,
+  archiveBaseName,
+  extractArchive
+};
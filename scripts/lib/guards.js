@@ -0,0 +1,82 @@
+const path = require('path');
+const { Transform } = require('stream');
+
+// Archives in data/ are untrusted. Entry paths must stay inside the directory
+// they are extracted to (no zip-slip through `../` or absolute paths), and an
+// archive may not unpack to more entries or bytes than the limits allow, so a
+// zip bomb fails instead of filling the disk. One budget covers an archive
+// and everything nested inside it.
+
+const DEFAULT_LIMITS = {
+  maxEntries: 10000,
+  maxBytes: 4 * 1024 * 1024 * 1024
+};
+
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number.isInteger(value) ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// The absolute path `name` extracts to, or null when it would land outside
+// `destDir`. Both separators count, since archives made on Windows use `\`.
+function resolveEntryPath(destDir, name) {
+  const normalized = name.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return null;
+
+  const root = path.resolve(destDir);
+  const target = path.resolve(root, ...normalized.split('/').filter(Boolean));
+  const relative = path.relative(root, target);
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return null;
+  }
+  return target;
+}
+
+class ExtractionBudget {
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.entries = 0;
+    this.bytes = 0;
+  }
+
+  // Counts entries and bytes about to be written; throws once over a limit
+  charge(archiveName, entries, bytes) {
+    this.entries += entries;
+    this.bytes += bytes;
+    if (this.entries > this.limits.maxEntries) {
+      throw new Error(`${archiveName} holds more than ${this.limits.maxEntries} entries`);
+    }
+    if (this.bytes > this.limits.maxBytes) {
+      throw new Error(`${archiveName} unpacks to more than ${formatBytes(this.limits.maxBytes)}`);
+    }
+  }
+}
+
+// Passes data through, failing once more than `maxBytes` went past. Sizes in
+// archive headers can lie; this holds the writer to the size it declared.
+function limitBytes(maxBytes, label) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > maxBytes) {
+        callback(new Error(`${label} is larger than its header says (${formatBytes(maxBytes)})`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  resolveEntryPath,
+  ExtractionBudget,
+  limitBytes
+};
@@ -0,0 +1,150 @@
+// Chapter-heading detection.
+//
+// Every detector is a named regex tested against a trimmed line. Books use
+// different heading styles, so instead of one hardcoded regex we keep a
+// registry and pick the detector that best fits each file.
+
+const { NUMERAL_CHARS } = require('./numerals');
+
+// Everything numerals.js can parse, Traditional and financial forms included
+const NUMERALS = `${NUMERAL_CHARS}\\d０-９`;
+
+// Longer lines are body text that happens to start like a heading
+const MAX_HEADING_LENGTH = 50;
+// A pattern needs at least this many hits to be considered at all
+const MIN_HEADINGS = 2;
+// Headings closer together than this (median, in lines) look like a table of contents
+const MIN_MEDIAN_GAP = 3;
+
+// Unnumbered headings that are recognized whichever detector is selected,
+// with or without a 篇/卷/章 suffix (番外篇, 后记篇)
+const SPECIAL_HEADING_REGEX = /^(?:序章|楔子|引子|尾声|尾聲|终章|終章|后记|後記|番外)[篇卷章]?(?:$|[\s:：、.．（(【〔「\d０-９一二三四五六七八九十])/;
+
+// Volume lines group the chapters that follow them
+const VOLUME_HEADING_REGEX = new RegExp(`^(?:第[${NUMERALS}]+[卷部集]|卷[${NUMERALS}]+)(?:$|[\\s:：、.．])`);
+
+const registry = new Map();
+
+// Every line is tested more than once, so `g` and `y`, which make `test`
+// carry on from the last match, are dropped
+function toRegExp(pattern, flags = '') {
+  const source = pattern instanceof RegExp ? pattern.source : pattern;
+  const given = pattern instanceof RegExp ? pattern.flags : flags;
+  return new RegExp(source, given.replace(/[gy]/g, ''));
+}
+
+function registerHeadingDetector(name, pattern, flags) {
+  const detector = { name, regex: toRegExp(pattern, flags) };
+  registry.set(name, detector);
+  return detector;
+}
+
+function getHeadingDetectors() {
+  return [...registry.values()];
+}
+
+registerHeadingDetector('zh-chapter', `^第[${NUMERALS}]+章`);
+registerHeadingDetector('zh-hui', `^第[${NUMERALS}]+回`);
+registerHeadingDetector('zh-jie', `^第[${NUMERALS}]+[节節]`);
+registerHeadingDetector('zh-juan', `^(?:第[${NUMERALS}]+卷|卷[${NUMERALS}]+)`);
+// `\b` would not end a run of full-width digits, so the number is closed
+// off by a lookahead instead
+registerHeadingDetector('en-chapter', /^chapter\s*(?:[\d０-９]+|[ivxlc]+)(?![A-Za-z0-9])/i);
+
+// Custom patterns come from the CLI or config file as regex source strings
+// or as `{ name, pattern, flags }` objects.
+function createCustomDetectors(patterns = []) {
+  return patterns.map((entry, index) => {
+    const spec = typeof entry === 'string' ? { pattern: entry } : entry;
+    if (!spec || !spec.pattern) {
+      throw new Error(`Invalid heading pattern at index ${index}`);
+    }
+    return {
+      name: spec.name || `custom-${index + 1}`,
+      regex: toRegExp(spec.pattern, spec.flags)
+    };
+  });
+}
+
+function matchesDetector(detector, line) {
+  const text = line.trim();
+  return text.length > 0 &&
+    text.length <= MAX_HEADING_LENGTH &&
+    detector.regex.test(text);
+}
+
+function isHeading(detector, line) {
+  if (matchesDetector(detector, line)) return true;
+  const text = line.trim();
+  return text.length <= MAX_HEADING_LENGTH && SPECIAL_HEADING_REGEX.test(text);
+}
+
+// A line the selected detector accepts is always a chapter, so books that are
+// split by 卷 alone keep those lines as chapters rather than empty volumes.
+function isVolumeHeading(detector, line) {
+  const text = line.trim();
+  return text.length <= MAX_HEADING_LENGTH &&
+    VOLUME_HEADING_REGEX.test(text) &&
+    !matchesDetector(detector, line);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Pick the detector with the most headings, ignoring candidates that match
+// too rarely or whose hits are packed together like a table of contents.
+// Ties go to the detector listed first. Lines are fed one at a time so a
+// file can be scanned while streaming.
+class HeadingScanner {
+  constructor(candidates = getHeadingDetectors()) {
+    this.candidates = candidates.map(detector => ({ detector, positions: [] }));
+    this.lineNumber = 0;
+  }
+
+  push(line) {
+    for (const candidate of this.candidates) {
+      if (matchesDetector(candidate.detector, line)) {
+        candidate.positions.push(this.lineNumber);
+      }
+    }
+    this.lineNumber++;
+  }
+
+  best() {
+    let best = null;
+    let bestCount = 0;
+
+    for (const { detector, positions } of this.candidates) {
+      if (positions.length < MIN_HEADINGS) continue;
+
+      const gaps = positions.slice(1).map((position, i) => position - positions[i]);
+      if (median(gaps) < MIN_MEDIAN_GAP) continue;
+
+      if (positions.length > bestCount) {
+        best = detector;
+        bestCount = positions.length;
+      }
+    }
+
+    return best;
+  }
+}
+
+function detectHeadingPattern(lines, candidates = getHeadingDetectors()) {
+  const scanner = new HeadingScanner(candidates);
+  for (const line of lines) scanner.push(line);
+  return scanner.best();
+}
+
+module.exports = {
+  registerHeadingDetector,
+  getHeadingDetectors,
+  createCustomDetectors,
+  HeadingScanner,
+  detectHeadingPattern,
+  isHeading,
+  isVolumeHeading
+};
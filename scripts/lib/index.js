@@ -0,0 +1,68 @@
+const { detectHeadingPattern, getHeadingDetectors, createCustomDetectors } = require('./headings');
+const { BookParser } = require('./book');
+const { splitChapters: splitLines, flattenVolumes } = require('./chapters');
+const { decodeBuffer } = require('./encoding');
+const { createConverter } = require('./conversion');
+const { resolveOptions } = require('./options');
+const { processDirectory, transformBook } = require('./pipeline');
+const { createPreviewServer } = require('./server');
+const { readJsonFile } = require('./compression');
+const log = require('./logger');
+
+// The library behind scripts/transform.js, for build scripts and tests:
+//
+//   decode(buffer)                  bytes of a TXT file to text
+//   splitChapters(text, options)    text to preface, volumes and chapters, in memory
+//   transformBook(input, options)   one TXT file (or its parts) to result files
+//   processDirectory(options)       a full incremental run, like the CLI
+//   createPreviewServer(resultDir)  an http.Server for reading the results
+//   readJsonFile(filePath)          a result file in any output format, parsed
+//
+// Options use the keys of novels.config.json. Nothing here exits the process;
+// failures reject or come back in the results. Logging goes through the
+// shared logger, which `configureLogging({ level, json })` adjusts.
+
+// `{ text, encoding, confidence, bom }`; `options.encoding` skips detection
+function decode(buffer, options = {}) {
+  const { content, ...detected } = decodeBuffer(buffer, options.encoding);
+  return { text: content, ...detected };
+}
+
+// Runs the same cleaning, heading detection, splitting and validation as a
+// full transform over `text` (a string, or a Buffer to decode first).
+// Returns `{ preface, volumes, chapters, headingPattern, cleaning,
+// validation }`, `chapters` being every volume's chapters in order.
+async function splitChapters(text, rawOptions = {}) {
+  const options = await resolveOptions(rawOptions);
+  const convert = createConverter(options.conversion);
+  const source = Buffer.isBuffer(text) ? decode(text, options).text : text;
+  const lines = source.replace(/^\uFEFF/, '').split(/\r?\n/).map(convert);
+
+  const candidates = options.headingPatterns.length > 0
+    ? createCustomDetectors(options.headingPatterns)
+    : getHeadingDetectors();
+  const detector = detectHeadingPattern(lines, candidates) || candidates[0];
+
+  const parser = new BookParser(detector, options);
+  const { preface, volumes } = splitLines(lines, detector, options, parser);
+
+  return {
+    preface,
+    volumes,
+    chapters: flattenVolumes(volumes),
+    headingPattern: detector.name,
+    cleaning: parser.cleaner.report(),
+    validation: parser.validator.report()
+  };
+}
+
+module.exports = {
+  decode,
+  splitChapters,
+  transformBook,
+  processDirectory,
+  resolveOptions,
+  createPreviewServer,
+  readJsonFile,
+  configureLogging: log.configure
+};
@@ -0,0 +1,64 @@
+// Shared logger for the CLI and the modules under it. Text mode prints the
+// message alone, as console.log did; JSON mode prints one object per line
+// with the level, message and any structured fields, for CI and tooling.
+// Errors and warnings go to stderr, everything else to stdout.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const settings = {
+  level: 'info',
+  json: false
+};
+
+function isLevel(level) {
+  return Object.prototype.hasOwnProperty.call(LEVELS, level);
+}
+
+function configure({ level = settings.level, json = settings.json } = {}) {
+  if (!isLevel(level)) {
+    throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+  }
+  settings.level = level;
+  settings.json = json;
+}
+
+// For handing the same settings to worker threads
+function getSettings() {
+  return { ...settings };
+}
+
+function serializeError(error) {
+  return error instanceof Error ? { message: error.message, stack: error.stack } : error;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] > LEVELS[settings.level]) return;
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (settings.json) {
+    const record = { time: new Date().toISOString(), level, message };
+    for (const [key, value] of Object.entries(fields)) {
+      record[key] = key === 'error' ? serializeError(value) : value;
+    }
+    stream.write(`${JSON.stringify(record)}\n`);
+    return;
+  }
+
+  // The stack is only worth the noise when asked for
+  const { error } = fields;
+  const details = error instanceof Error
+    ? `: ${settings.level === 'debug' ? error.stack : error.message}`
+    : '';
+  stream.write(`${message}${details}\n`);
+}
+
+module.exports = {
+  LEVELS,
+  isLevel,
+  configure,
+  getSettings,
+  error: (message, fields) => write('error', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  debug: (message, fields) => write('debug', message, fields)
+};
@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { PARSER_VERSION } = require('./book');
+const log = require('./logger');
+
+// result/manifest.json remembers, for every source in data/ (a zip or a loose
+// TXT), the content hash and parser version its outputs were built from.
+// A source whose hash, parser version and output options all match, and
+// whose outputs are still on disk, is skipped on the next run.
+const MANIFEST_FILE = 'manifest.json';
+
+// Options that change what gets written; changing any of them rebuilds everything
+const OUTPUT_OPTIONS = [
+  'headingPatterns',
+  'formatVersion',
+  'outputMode',
+  'format',
+  'packSize',
+  'exports',
+  'conversion',
+  'cleaning',
+  'paragraphs',
+  'dedupe',
+  'encoding'
+];
+
+async function loadManifest(resultDir) {
+  const manifestPath = path.join(resultDir, MANIFEST_FILE);
+  if (!(await fs.pathExists(manifestPath))) {
+    return { sources: {} };
+  }
+
+  try {
+    const manifest = await fs.readJson(manifestPath);
+    return { sources: manifest.sources || {} };
+  } catch (error) {
+    log.warn(`Ignoring unreadable ${MANIFEST_FILE}: ${error.message}`);
+    return { sources: {} };
+  }
+}
+
+async function saveManifest(resultDir, manifest) {
+  const sources = Object.fromEntries(
+    Object.keys(manifest.sources).sort().map(key => [key, manifest.sources[key]])
+  );
+  await fs.writeJson(path.join(resultDir, MANIFEST_FILE), { parserVersion: PARSER_VERSION, sources }, { spaces: 2 });
+}
+
+function optionsFingerprint(options) {
+  const relevant = Object.fromEntries(OUTPUT_OPTIONS.map(key => [key, options[key] === undefined ? null : options[key]]));
+  return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('hex').slice(0, 16);
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+async function isUpToDate(record, hash, fingerprint, resultDir) {
+  if (!record || record.hash !== hash ||
+      record.parserVersion !== PARSER_VERSION || record.fingerprint !== fingerprint) {
+    return false;
+  }
+
+  for (const book of record.books) {
+    for (const output of bookOutputs(book)) {
+      if (!(await fs.pathExists(path.join(resultDir, output)))) return false;
+    }
+  }
+  return true;
+}
+
+function createSourceRecord(hash, fingerprint, books) {
+  return { hash, parserVersion: PARSER_VERSION, fingerprint, books };
+}
+
+// `output` is a file, or a directory in split mode; `exports` lists extra
+// files such as EPUBs written next to it
+function bookOutputs(book) {
+  return [book.output, ...(book.exports || [])];
+}
+
+async function removeOutputs(resultDir, books) {
+  for (const book of books) {
+    for (const output of bookOutputs(book)) {
+      await fs.remove(path.join(resultDir, output));
+    }
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadManifest,
+  saveManifest,
+  optionsFingerprint,
+  hashFile,
+  isUpToDate,
+  createSourceRecord,
+  bookOutputs,
+  removeOutputs
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+
+// TXT dumps are usually named like `《书名》（校对版全本）作者：某某.txt`
+function parseFileName(fileName) {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  const titleMatch = baseName.match(/《(.+?)》/);
+  const authorMatch = baseName.match(/作\s*者[：:]\s*(.+)$/);
+  return {
+    title: titleMatch ? titleMatch[1].trim() : baseName.trim(),
+    author: authorMatch ? authorMatch[1].trim() : null
+  };
+}
+
+function countCharacters(text) {
+  return [...text.replace(/\s/g, '')].length;
+}
+
+// Every CJK character counts as a word, as do runs of Latin letters or digits
+function countWords(text) {
+  const cjk = text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g);
+  const latin = text.match(/[A-Za-z0-9\uff10-\uff19\uff21-\uff3a\uff41-\uff5a]+(?:['’][A-Za-z]+)*/g);
+  return (cjk ? cjk.length : 0) + (latin ? latin.length : 0);
+}
+
+// The first argument is gathered while the book streams through: the preface
+// plus running chapter and character counts
+function buildBookMetadata({ preface, chapterCount, characterCount }, { id, sourceFile, sourceZip, archiveEntry, parts, encoding, encodingConfidence, conversion, cleaning, validation, hash }) {
+  const fromFileName = parseFileName(sourceFile);
+
+  return {
+    id,
+    title: (preface && preface.title) || fromFileName.title,
+    author: (preface && preface.author) || fromFileName.author,
+    sourceFile,
+    sourceZip: sourceZip || null,
+    archiveEntry: archiveEntry || null,
+    ...(parts ? { parts } : {}),
+    chapterCount,
+    characterCount,
+    encoding,
+    encodingConfidence,
+    conversion: conversion || 'none',
+    cleaning: cleaning || null,
+    validation: validation || null,
+    hash,
+    processedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  parseFileName,
+  countCharacters,
+  countWords,
+  buildBookMetadata
+};
@@ -0,0 +1,158 @@
+// Chapter numbers in headings: Arabic or full-width digits and Chinese
+// numerals in their common forms:
+//
+//   十, 二十一, 一百零五, 两千      unit notation (十 at the start means 一十)
+//   壹贰叁, 拾佰仟, 萬億            financial and Traditional forms
+//   廿, 卅, 卌                    twenty, thirty, forty
+//   一〇五, 二零二一                digit by digit, without units
+//   3百2十, 1万零1                 digits mixed with units
+//   两万五, 一千二                 colloquial 25000 and 1200
+
+const DIGITS = {
+  零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4,
+  五: 5, 六: 6, 七: 7, 八: 8, 九: 9
+};
+
+const UNITS = { 十: 10, 百: 100, 千: 1000 };
+const SECTION_UNITS = { 万: 10000, 亿: 100000000 };
+
+const VARIANTS = {
+  壹: '一', 弌: '一', 贰: '二', 貳: '二', 弍: '二', 兩: '两', 叁: '三', 參: '三', 叄: '三', 弎: '三',
+  肆: '四', 伍: '五', 陆: '六', 陸: '六', 柒: '七', 捌: '八', 玖: '九',
+  拾: '十', 佰: '百', 仟: '千', 萬: '万', 億: '亿',
+  廿: '二十', 卅: '三十', 卌: '四十'
+};
+
+// Characters a numeral may contain, for building heading regexes
+const NUMERAL_CHARS = [...Object.keys(DIGITS), ...Object.keys(UNITS), ...Object.keys(SECTION_UNITS), ...Object.keys(VARIANTS)].join('');
+
+const HEADING_REGEX = new RegExp(`^第\\s*([\\d０-９${NUMERAL_CHARS}]+)\\s*[章回节節话話篇幕卷部集]`);
+const EN_HEADING_REGEX = /^chapter\s*([\d０-９]+|[ivxlcdm]+)(?![A-Za-z0-9])/i;
+const SUBTITLE_SEPARATOR_REGEX = /^[\s:：、.．,，\-—_]+/;
+
+const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+function normalize(text) {
+  return [...text.trim()]
+    .map(char => {
+      const code = char.charCodeAt(0);
+      if (code >= 0xff10 && code <= 0xff19) return String(code - 0xff10);
+      return VARIANTS[char] || char;
+    })
+    .join('');
+}
+
+// Splits into digit runs (`12` or `一`) and unit characters
+function tokenize(text) {
+  const tokens = [];
+  for (const char of text) {
+    if (/\d/.test(char)) {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === 'arabic') {
+        last.value = last.value * 10 + Number(char);
+      } else {
+        tokens.push({ type: 'arabic', value: Number(char) });
+      }
+    } else if (char in DIGITS) {
+      tokens.push({ type: 'digit', value: DIGITS[char], zero: DIGITS[char] === 0 });
+    } else if (char in UNITS) {
+      tokens.push({ type: 'unit', value: UNITS[char] });
+    } else if (char in SECTION_UNITS) {
+      tokens.push({ type: 'section', value: SECTION_UNITS[char] });
+    } else {
+      return null;
+    }
+  }
+  return tokens;
+}
+
+// Returns the integer value, or null when `text` is not a numeral
+function parseChineseNumber(text) {
+  if (!text) return null;
+  const tokens = tokenize(normalize(text));
+  if (!tokens || tokens.length === 0) return null;
+
+  // Without units every character is one decimal digit: 一〇五 is 105
+  if (tokens.every(token => token.type !== 'unit' && token.type !== 'section')) {
+    return tokens.reduce((total, token) => {
+      const digits = token.type === 'arabic' ? String(token.value).length : 1;
+      return total * 10 ** digits + token.value;
+    }, 0);
+  }
+
+  // 亿 groups already closed, the 万 group, and the part below 万
+  let total = 0;
+  let myriads = 0;
+  let section = 0;
+  let current = null;
+  // The unit just passed, for the colloquial 两万五 / 一千二 reading
+  let lastUnit = null;
+
+  for (const token of tokens) {
+    if (token.type === 'arabic' || token.type === 'digit') {
+      current = token.value;
+      if (token.zero) lastUnit = null;
+    } else if (token.type === 'unit') {
+      section += (current === null ? 1 : current) * token.value;
+      current = null;
+      lastUnit = token.value;
+    } else {
+      const part = section + (current || 0);
+      if (token.value === SECTION_UNITS.亿) {
+        total = (total + myriads + part) * token.value;
+        myriads = 0;
+      } else {
+        myriads += part * token.value;
+      }
+      section = 0;
+      current = null;
+      lastUnit = token.value;
+    }
+  }
+
+  if (current !== null && lastUnit >= 100) {
+    current *= lastUnit / 10;
+  }
+  return total + myriads + section + (current || 0);
+}
+
+function parseRoman(text) {
+  const values = [...text.toLowerCase()].map(char => ROMAN[char]);
+  return values.reduce((total, value, index) =>
+    total + (value < (values[index + 1] || 0) ? -value : value), 0);
+}
+
+// Splits a heading such as `第一千二百三十四章 标题` into `{ number: 1234,
+// name: '标题' }`. Headings without a number (序章, 番外 ...) keep the whole
+// title as their name; numbered headings without a subtitle get a null name.
+function parseHeading(title) {
+  const text = title.trim();
+
+  const match = text.match(HEADING_REGEX);
+  const enMatch = !match && text.match(EN_HEADING_REGEX);
+  if (!match && !enMatch) {
+    return { number: null, name: text || null };
+  }
+
+  let number;
+  if (match) {
+    number = parseChineseNumber(match[1]);
+  } else {
+    const value = normalize(enMatch[1]);
+    number = /^\d+$/.test(value) ? Number(value) : parseRoman(value);
+  }
+  const rest = text.slice((match || enMatch)[0].length).replace(SUBTITLE_SEPARATOR_REGEX, '').trim();
+  return { number, name: rest || null };
+}
+
+// The number in a chapter heading, or null
+function parseHeadingNumber(title) {
+  return parseHeading(title).number;
+}
+
+module.exports = {
+  NUMERAL_CHARS,
+  parseChineseNumber,
+  parseHeading,
+  parseHeadingNumber
+};
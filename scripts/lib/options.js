@@ -0,0 +1,125 @@
+const path = require('path');
+const { OUTPUT_MODES, EXPORT_FORMATS } = require('./writers');
+const { FORMATS, isFormat } = require('./compression');
+const { CONVERSIONS, isConversion } = require('./conversion');
+const { BUILTIN_RULE_NAMES, loadRuleFile, loadBlocklist } = require('./cleaner');
+const { isSupportedEncoding } = require('./encoding');
+const { DEFAULT_LIMITS } = require('./guards');
+const { defaultPoolSize } = require('./pool');
+
+const SEARCH_INDEX_MODES = ['none', 'book', 'library'];
+
+// Validates options given with the keys of the config file (see the CLI's
+// --help) and fills in the defaults. Both the CLI and the library API go
+// through here. Cleaning rule files and blocklists are read now, so the
+// manifest fingerprint covers their contents rather than their paths.
+async function resolveOptions(options = {}) {
+  const formatVersion = Number(options.formatVersion || 2);
+  if (![1, 2].includes(formatVersion)) {
+    throw new Error(`Unsupported format version: ${formatVersion}`);
+  }
+
+  const outputMode = options.outputMode || 'single';
+  if (!OUTPUT_MODES.includes(outputMode)) {
+    throw new Error(`Unsupported output mode: ${outputMode}`);
+  }
+
+  const format = options.format || 'json';
+  if (!isFormat(format)) {
+    throw new Error(`Unsupported format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const packSize = Number(options.packSize || 0);
+  if (!Number.isInteger(packSize) || packSize < 0) {
+    throw new Error(`Invalid pack size: ${options.packSize}`);
+  }
+
+  const searchIndex = options.searchIndex || 'none';
+  if (!SEARCH_INDEX_MODES.includes(searchIndex)) {
+    throw new Error(`Unsupported search index mode: ${searchIndex} (expected ${SEARCH_INDEX_MODES.join(', ')})`);
+  }
+
+  // Library indexes are merged from the per-book ones
+  const exports = [...new Set([...(options.exports || []), ...(searchIndex === 'none' ? [] : ['search'])])];
+  const unknownExport = exports.find(exportFormat => !EXPORT_FORMATS.includes(exportFormat));
+  if (unknownExport) {
+    throw new Error(`Unsupported export format: ${unknownExport} (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  const conversion = options.conversion || 'none';
+  if (!isConversion(conversion)) {
+    throw new Error(`Unsupported conversion: ${conversion} (expected ${Object.keys(CONVERSIONS).join(', ')})`);
+  }
+
+  const cleaningOptions = options.cleaning || {};
+  const disable = cleaningOptions.disable || [];
+  const unknownRule = disable.find(name => !BUILTIN_RULE_NAMES.includes(name));
+  if (unknownRule) {
+    throw new Error(`Unknown cleaning rule: ${unknownRule} (expected ${BUILTIN_RULE_NAMES.join(', ')})`);
+  }
+  const rules = [...(cleaningOptions.rules || [])];
+  for (const file of cleaningOptions.ruleFiles || []) {
+    rules.push(...await loadRuleFile(path.resolve(file)));
+  }
+  const blocklist = [...(cleaningOptions.blocklist || [])];
+  for (const file of cleaningOptions.blocklistFiles || []) {
+    blocklist.push(...await loadBlocklist(path.resolve(file)));
+  }
+  const cleaning = {
+    enabled: cleaningOptions.enabled !== false,
+    disable,
+    rules,
+    blocklist
+  };
+
+  const encoding = options.encoding || null;
+  if (encoding && !isSupportedEncoding(encoding)) {
+    throw new Error(`Unsupported encoding: ${encoding}`);
+  }
+
+  const extractionLimits = options.extractionLimits || {};
+  for (const [key, value] of Object.entries(extractionLimits)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_LIMITS, key) || !Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid extraction limit: ${key} = ${value} (expected positive ${Object.keys(DEFAULT_LIMITS).join(', ')})`);
+    }
+  }
+
+  const jobs = options.jobs === undefined || options.jobs === null ? defaultPoolSize() : Number(options.jobs);
+  if (!Number.isInteger(jobs) || jobs < 0) {
+    throw new Error(`Invalid job count: ${options.jobs} (expected 0 to process books in this thread, or more)`);
+  }
+
+  const bookTimeout = Number(options.bookTimeout || 0);
+  if (!Number.isFinite(bookTimeout) || bookTimeout < 0) {
+    throw new Error(`Invalid book timeout: ${options.bookTimeout}`);
+  }
+
+  return {
+    inputDir: options.inputDir || 'data',
+    outputDir: options.outputDir || 'result',
+    select: options.select || [],
+    headingPatterns: options.headingPatterns || [],
+    formatVersion,
+    outputMode,
+    format,
+    packSize,
+    exports,
+    searchIndex,
+    conversion,
+    cleaning,
+    paragraphs: Boolean(options.paragraphs),
+    dedupe: Boolean(options.dedupe),
+    encoding,
+    extractionLimits,
+    jobs,
+    bookTimeout,
+    onProgress: typeof options.onProgress === 'function' ? options.onProgress : null,
+    force: Boolean(options.force),
+    dryRun: Boolean(options.dryRun)
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_MODES,
+  resolveOptions
+};
@@ -0,0 +1,82 @@
+// Paragraph reconstruction for chapter text.
+//
+// TXT dumps mark paragraphs in one of two ways: an indented first line
+// (usually two full-width spaces), or one paragraph per line. Some are also
+// hard-wrapped at a fixed width, splitting sentences across lines. Lines are
+// joined back together using these signals:
+//
+//   - blank lines always end a paragraph
+//   - when the chapter uses indentation, only indented lines start one
+//   - otherwise a line continues the previous one when that line is as long
+//     as the widest line (a hard wrap) and has no sentence-ending punctuation
+
+const INDENT_REGEX = /^(?:\u3000|[ \u00a0]{2,}|\t)/;
+const SENTENCE_END_REGEX = /[。！？!?…~～.」』”’"')）】》]$/;
+
+// Share of lines that must be indented before indentation counts as the
+// paragraph marker, so a few stray indents do not glue a book together
+const MIN_INDENTED_SHARE = 0.2;
+// Hard-wrapped lines are within this many characters of the widest line
+const WRAP_TOLERANCE = 2;
+// Narrower text is not treated as hard-wrapped at all
+const MIN_WRAP_WIDTH = 20;
+
+function isIndented(line) {
+  return INDENT_REGEX.test(line);
+}
+
+// `lines` are the cleaned chapter lines and `indents` whether each raw line
+// was indented before cleaning stripped it
+function buildParagraphs(lines, indents = []) {
+  const texts = lines.map(line => line.trim());
+  const nonBlank = texts.filter(Boolean);
+  if (nonBlank.length === 0) return [];
+
+  const indentedCount = texts.filter((text, index) => text && indents[index]).length;
+  const useIndentation = indentedCount / nonBlank.length >= MIN_INDENTED_SHARE;
+  const width = Math.max(...nonBlank.map(text => [...text].length));
+
+  const paragraphs = [];
+  let current = null;
+  let previous = null;
+
+  const flush = () => {
+    if (current) paragraphs.push(current);
+    current = null;
+  };
+
+  texts.forEach((text, index) => {
+    if (!text) {
+      flush();
+      previous = null;
+      return;
+    }
+
+    let startsParagraph;
+    if (current === null) {
+      startsParagraph = true;
+    } else if (useIndentation) {
+      startsParagraph = Boolean(indents[index]);
+    } else {
+      const wrapped = width >= MIN_WRAP_WIDTH && [...previous].length >= width - WRAP_TOLERANCE;
+      startsParagraph = !wrapped || SENTENCE_END_REGEX.test(previous);
+    }
+
+    if (startsParagraph) {
+      flush();
+      current = text;
+    } else {
+      // CJK text joins directly; Latin words need their space back
+      current += /[A-Za-z0-9,;:]$/.test(current) && /^[A-Za-z0-9]/.test(text) ? ` ${text}` : text;
+    }
+    previous = text;
+  });
+  flush();
+
+  return paragraphs;
+}
+
+module.exports = {
+  isIndented,
+  buildParagraphs
+};
@@ -0,0 +1,456 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getHeadingDetectors, createCustomDetectors } = require('./headings');
+const { processBook, abortBook } = require('./book');
+const { createCatalogEntry, loadCatalog, updateCatalog, saveCatalog } = require('./catalog');
+const { isArchive, archiveBaseName, extractArchive } = require('./extractors');
+const { groupParts, assignBookIds, splitPartMarker, slugify } = require('./sources');
+const { createWorkspace } = require('./workspace');
+const {
+  loadManifest,
+  saveManifest,
+  optionsFingerprint,
+  hashFile,
+  isUpToDate,
+  createSourceRecord,
+  bookOutputs,
+  removeOutputs
+} = require('./manifest');
+const { formatStats } = require('./compression');
+const { resolveOptions } = require('./options');
+const { createSelector } = require('./selection');
+const { libraryIndexFile, writeLibraryIndex, removeLibraryIndex } = require('./writers/search');
+const { WorkerPool } = require('./pool');
+const log = require('./logger');
+
+const WORKER_FILE = path.join(__dirname, 'worker.js');
+
+// A whole run over an input directory: find the sources, extract archives,
+// skip what the manifest says is unchanged, write the rest and update the
+// manifest and catalog. Failures of single archives or books are logged and
+// returned; only problems with the run itself (options, missing input
+// directory) reject.
+
+// Resolves to `{ dryRun, summary, results, errors }`. `summary` lists book IDs
+// by status (added, updated, skipped, removed); `results` has one `{ id,
+// source, file, entry, output, exports }` per book written; `errors` has one
+// `{ source, id?, file?, error }` per archive or book that failed.
+async function processDirectory(rawOptions = {}) {
+  const options = await resolveOptions(rawOptions);
+  const dataDir = path.resolve(options.inputDir);
+  const resultDir = path.resolve(options.outputDir);
+
+  // The input directory is only ever read; archives are extracted into a
+  // temp workspace
+  if (!await fs.pathExists(dataDir)) {
+    throw new Error(`Input directory not found: ${dataDir}`);
+  }
+  if (!options.dryRun) await fs.ensureDir(resultDir);
+
+  const manifest = await loadManifest(resultDir);
+  const fingerprint = optionsFingerprint(options);
+  const summary = { added: [], updated: [], skipped: [], removed: [] };
+  const errors = [];
+  const outcome = (results = []) => ({
+    dryRun: options.dryRun,
+    summary,
+    results: results.map(({ source, ...result }) => ({ id: result.entry.id, source: source.key, ...result })),
+    errors
+  });
+
+  const selector = createSelector(options.select);
+  const partNames = part => [path.posix.basename(part.name), part.name];
+  const isBookSelected = book => selector.matches([book.id, book.source.key, ...book.parts.flatMap(partNames)]);
+
+  // Every source (archive or loose txt) with the books found in it. IDs of
+  // skipped sources stay reserved so new books cannot take them over.
+  const sources = [];
+  const reservedIds = new Map();
+
+  const skipSource = (sourceKey, record) => {
+    log.info(`Skipping ${sourceKey} (unchanged)`, { event: 'skipped', source: sourceKey });
+    for (const book of record.books) {
+      reservedIds.set(book.id, sourceKey);
+      if (selector.matches([book.id, sourceKey, book.sourceFile])) summary.skipped.push(book.id);
+    }
+  };
+
+  const dataFiles = (await fs.readdir(dataDir)).sort();
+  const workspace = await createWorkspace();
+  log.debug(`Extracting into ${workspace.dir}`);
+  try {
+    // Archives (zip, 7z, rar, tar.gz ...), including TXT files in subfolders
+    // and nested archives
+    for (const archiveFile of dataFiles.filter(file => isArchive(file))) {
+      const archivePath = path.join(dataDir, archiveFile);
+      const baseName = archiveBaseName(archiveFile);
+
+      const hash = await hashFile(archivePath);
+      if (!options.force && await isUpToDate(manifest.sources[archiveFile], hash, fingerprint, resultDir)) {
+        skipSource(archiveFile, manifest.sources[archiveFile]);
+        continue;
+      }
+
+      log.info(`Extracting ${archiveFile}...`);
+      let txtEntries;
+      try {
+        txtEntries = await extractArchive(archivePath, path.join(workspace.dir, archiveFile), { limits: options.extractionLimits });
+      } catch (error) {
+        log.error(`Error extracting ${archiveFile}: ${error.message}`, { event: 'failed', source: archiveFile });
+        errors.push({ source: archiveFile, error });
+        continue;
+      }
+
+      // Keep the raw entry name so garbled-looking archives can still be
+      // traced back
+      const files = txtEntries.map(({ path: extractedPath, ...entry }) => {
+        log.debug(`Extracted ${entry.name} from ${archiveFile}${entry.nameEncoding === 'utf8' ? '' : ` (${entry.nameEncoding} name)`}`);
+        return { path: extractedPath, name: entry.name, entry };
+      });
+      sources.push({ key: archiveFile, archive: archiveFile, baseName, hash, books: groupParts(files) });
+    }
+
+    // Loose txt files are sources of their own
+    for (const file of dataFiles.filter(file => file.endsWith('.txt'))) {
+      const filePath = path.join(dataDir, file);
+      const hash = await hashFile(filePath);
+      if (!options.force && await isUpToDate(manifest.sources[file], hash, fingerprint, resultDir)) {
+        skipSource(file, manifest.sources[file]);
+        continue;
+      }
+      const books = [{ name: path.basename(file, '.txt'), parts: [{ path: filePath, name: file, entry: null }] }];
+      sources.push({ key: file, archive: null, baseName: path.basename(file, '.txt'), hash, books });
+    }
+
+    for (const source of sources) {
+      for (const book of source.books.filter(book => book.parts.length > 1)) {
+        log.info(`Merging ${book.parts.map(part => part.name).join(' + ')} from ${source.key} into one book`);
+      }
+    }
+
+    const collisions = assignBookIds(sources, reservedIds);
+    for (const collision of collisions) {
+      log.warn(`Output name collision: ${collision.id} is taken by ${collision.source}; writing the book from ${collision.collidingSource} as ${collision.renamedTo}`, { event: 'collision', ...collision });
+    }
+
+    const books = sources.flatMap(source => source.books.map(book => ({ ...book, source })));
+    const selectedBooks = books.filter(isBookSelected);
+
+    for (const pattern of selector.unmatched()) {
+      log.warn(`No file in ${dataDir} matches ${pattern}`);
+    }
+    if (selectedBooks.length === 0 && summary.skipped.length === 0 && !selector.isEmpty) {
+      log.info('No matching files found in input directory.');
+      return outcome();
+    }
+
+    if (!selector.isEmpty) {
+      log.info(`Processing selected files: ${selectedBooks.map(book => book.id).join(', ') || '(none changed)'}`);
+    } else {
+      log.info(`Processing all files in ${dataDir}`);
+    }
+
+    // Sources that disappeared from the input directory take their outputs
+    // with them
+    const deletedSources = Object.keys(manifest.sources).filter(sourceKey => !dataFiles.includes(sourceKey));
+
+    if (options.dryRun) {
+      for (const book of selectedBooks) {
+        const previous = manifest.sources[book.source.key];
+        const status = previous && previous.books.some(record => record.id === book.id) ? 'updated' : 'added';
+        summary[status].push(book.id);
+        log.info(`Would process ${book.parts.map(part => part.name).join(' + ')} from ${book.source.key} -> ${book.id}`, { event: 'planned', id: book.id, source: book.source.key, status });
+      }
+      for (const sourceKey of deletedSources) {
+        log.info(`Would remove outputs of deleted source ${sourceKey}`, { event: 'planned', source: sourceKey, status: 'removed' });
+        summary.removed.push(...manifest.sources[sourceKey].books.map(book => book.id));
+      }
+      logSummary('Dry run (nothing written):', summary);
+      return outcome();
+    }
+
+    const { results, errors: bookErrors } = await processFileSet(selectedBooks, resultDir, options);
+    errors.push(...bookErrors);
+    const failed = bookErrors.map(error => error.id);
+
+    // Record every source whose books all went through without errors
+    const staleIds = [];
+    for (const source of sources) {
+      if (source.books.some(book => !selectedBooks.some(selected => selected.id === book.id) || failed.includes(book.id))) continue;
+
+      const previous = manifest.sources[source.key];
+      const sourceBooks = results
+        .filter(result => result.source === source)
+        .map(result => {
+          const book = { id: result.entry.id, sourceFile: result.file, output: result.output };
+          if (result.exports.length > 0) book.exports = result.exports;
+          return book;
+        });
+
+      if (previous) {
+        const outputs = new Set(sourceBooks.flatMap(bookOutputs));
+        const ids = new Set(sourceBooks.map(book => book.id));
+        const staleOutputs = previous.books.flatMap(bookOutputs).filter(output => !outputs.has(output));
+        await removeOutputs(resultDir, staleOutputs.map(output => ({ output })));
+        staleIds.push(...previous.books.filter(book => !ids.has(book.id)).map(book => book.id));
+      }
+      const previousIds = new Set(previous ? previous.books.map(book => book.id) : []);
+      for (const book of sourceBooks) {
+        (previousIds.has(book.id) ? summary.updated : summary.added).push(book.id);
+      }
+
+      manifest.sources[source.key] = createSourceRecord(source.hash, fingerprint, sourceBooks);
+    }
+
+    for (const sourceKey of deletedSources) {
+      const record = manifest.sources[sourceKey];
+      log.info(`Removing outputs of deleted source ${sourceKey}`, { event: 'removed', source: sourceKey });
+      await removeOutputs(resultDir, record.books);
+      for (const book of record.books) {
+        staleIds.push(book.id);
+        summary.removed.push(book.id);
+      }
+      delete manifest.sources[sourceKey];
+    }
+
+    await saveManifest(resultDir, manifest);
+
+    // Left untouched when no book changed, so unchanged runs leave no diff
+    let catalog = await loadCatalog(resultDir);
+    const changed = results.length > 0 || staleIds.length > 0;
+    if (changed) {
+      catalog = updateCatalog(catalog, results.map(result => result.entry), staleIds);
+      await saveCatalog(resultDir, catalog);
+      log.info(`Updated catalog (${results.length} processed, ${catalog.books.length} books total)`);
+    }
+
+    const libraryFile = options.searchIndex === 'library' ? libraryIndexFile(options.format) : null;
+    await removeLibraryIndex(resultDir, libraryFile);
+    if (libraryFile && (changed || !await fs.pathExists(path.join(resultDir, libraryFile)))) {
+      const library = await writeLibraryIndex(resultDir, catalog, { format: options.format });
+      log.info(`Wrote ${library.file} (${library.books} books)`);
+    }
+
+    logSummary('Summary:', summary);
+    if (errors.length > 0) {
+      log.warn(`Processing completed with ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+    } else {
+      log.info('Processing completed successfully!');
+    }
+    return outcome(results);
+  } finally {
+    await workspace.dispose();
+  }
+}
+
+function logSummary(prefix, summary) {
+  log.info(`${prefix} ${summary.added.length} added, ${summary.updated.length} updated, ${summary.skipped.length} skipped, ${summary.removed.length} removed`, { event: 'summary', ...summary });
+  for (const [status, ids] of Object.entries(summary)) {
+    if (ids.length > 0) log.info(`  ${status}: ${ids.join(', ')}`);
+  }
+}
+
+// Returns `{ results, errors }`: one `{ file, source, entry, output, exports }`
+// per book written (entry is its catalog record), and one `{ source, id,
+// file, error }` per book that threw. With `options.jobs` above 0 the books
+// are decoded, split and written in worker threads; either way both lists
+// keep the order of `books`, whatever order the books finish in.
+async function processFileSet(books, resultDir, options) {
+  const candidates = headingCandidates(options.headingPatterns);
+  const results = [];
+  const errors = [];
+  let done = 0;
+
+  const pool = options.jobs > 0 && books.length > 0
+    ? new WorkerPool(WORKER_FILE, { size: Math.min(options.jobs, books.length), workerData: { log: log.getSettings() } })
+    : null;
+
+  const processOne = async (book, index) => {
+    const { source, parts } = book;
+    const file = path.posix.basename(parts[0].name);
+    const paths = parts.map(part => part.path);
+    const outputBase = path.join(resultDir, book.id);
+    const bookSource = {
+      id: book.id,
+      sourceFile: file,
+      sourceZip: source.archive,
+      archiveEntry: parts[0].entry,
+      parts: parts.length > 1
+        ? parts.map(part => ({ sourceFile: path.posix.basename(part.name), archiveEntry: part.entry }))
+        : undefined
+    };
+    const taskOptions = bookOptions(options, bookSource, candidates);
+    let status = 'processed';
+
+    try {
+      const processed = pool
+        ? await pool.run({ paths, outputBase, options: taskOptions }, { timeout: options.bookTimeout * 1000 })
+        : await processBook(paths, outputBase, taskOptions);
+
+      if (processed) {
+        results[index] = { ...reportBook(resultDir, bookSource, processed), source };
+      } else {
+        status = 'empty';
+        log.warn(`No chapters found in ${file}, skipping`, { event: 'empty', id: book.id, source: source.key });
+      }
+    } catch (error) {
+      status = 'failed';
+      if (pool) await abortBook(outputBase, taskOptions);
+      errors[index] = { source: source.key, id: book.id, file, error };
+      log.error(`Error processing ${file}`, { event: 'failed', id: book.id, source: source.key, error });
+    }
+
+    done++;
+    if (books.length > 1) {
+      log.info(`Progress: ${done}/${books.length} books`, { event: 'progress', id: book.id, status, done, total: books.length });
+    }
+    if (options.onProgress) options.onProgress({ id: book.id, status, done, total: books.length });
+  };
+
+  try {
+    if (pool) {
+      await Promise.all(books.map(processOne));
+    } else {
+      for (const [index, book] of books.entries()) {
+        await processOne(book, index);
+      }
+    }
+  } finally {
+    if (pool) await pool.close();
+  }
+
+  return { results: results.filter(Boolean), errors: errors.filter(Boolean) };
+}
+
+// Transforms a single book without touching the manifest or catalog.
+// `input` is a TXT path, or the paths of a book's parts in order; the book is
+// written to `options.outputDir` as `options.id`, which defaults to the file
+// name. Resolves to `{ id, file, entry, output, exports }` (entry being the
+// catalog record), or null when no chapters were found.
+async function transformBook(input, rawOptions = {}) {
+  const options = await resolveOptions(rawOptions);
+  const paths = Array.isArray(input) ? input : [input];
+  const resultDir = path.resolve(options.outputDir);
+  await fs.ensureDir(resultDir);
+
+  const file = path.basename(paths[0]);
+  const marker = paths.length > 1 && splitPartMarker(file);
+  const id = rawOptions.id || slugify(marker ? marker.stem : path.basename(file, path.extname(file)));
+  const result = await writeBook(paths, resultDir, {
+    id,
+    sourceFile: file,
+    sourceZip: null,
+    archiveEntry: null,
+    parts: paths.length > 1 ? paths.map(part => ({ sourceFile: path.basename(part), archiveEntry: null })) : undefined
+  }, options, headingCandidates(options.headingPatterns));
+
+  return result && { id, ...result };
+}
+
+function headingCandidates(headingPatterns) {
+  return headingPatterns && headingPatterns.length > 0
+    ? createCustomDetectors(headingPatterns)
+    : getHeadingDetectors();
+}
+
+// Writes one book under `resultDir` as `source.id` in this thread and logs
+// what happened to it. Returns `{ file, entry, output, exports }`, or null
+// without chapters.
+async function writeBook(paths, resultDir, source, options, candidates) {
+  const result = await processBook(paths, path.join(resultDir, source.id), bookOptions(options, source, candidates));
+  return result && reportBook(resultDir, source, result);
+}
+
+// What processBook needs to know of the run options. Everything here can be
+// handed to a worker thread.
+function bookOptions(options, source, candidates) {
+  return {
+    candidates,
+    formatVersion: options.formatVersion,
+    outputMode: options.outputMode,
+    format: options.format,
+    packSize: options.packSize,
+    exports: options.exports,
+    conversion: options.conversion,
+    cleaning: options.cleaning,
+    paragraphs: options.paragraphs,
+    dedupe: options.dedupe,
+    encoding: options.encoding,
+    source
+  };
+}
+
+// Logs the outcome of processBook and turns it into the book's result
+function reportBook(resultDir, source, result) {
+  const file = source.sourceFile;
+  const { metadata, detector, volumeCount } = result;
+  const outputName = toResultPath(resultDir, result.entryFile);
+  const exports = result.exports.map(exported => toResultPath(resultDir, exported.outputPath));
+  const entry = createCatalogEntry({
+    ...metadata,
+    file: outputName,
+    exports: result.exports.length > 0
+      ? Object.fromEntries(result.exports.map((exported, index) => [exported.format, exports[index]]))
+      : undefined
+  });
+  if (metadata.encoding !== 'utf8') {
+    log.info(`Decoded ${file} as ${metadata.encoding} (confidence ${metadata.encodingConfidence})`);
+  }
+  if (metadata.conversion !== 'none') {
+    log.info(`Converted ${file} (${metadata.conversion})`);
+  }
+  const removed = Object.entries(metadata.cleaning.removed);
+  if (removed.length > 0) {
+    const total = removed.reduce((sum, [, count]) => sum + count, 0);
+    log.info(`Cleaned ${file}: removed ${total} lines (${removed.map(([rule, count]) => `${rule} ${count}`).join(', ')})`);
+  }
+  const warnings = validationWarnings(metadata.validation);
+  if (warnings.length > 0) {
+    log.warn(`Validation for ${file}: ${warnings.join(', ')}`, { event: 'validation', id: source.id, validation: metadata.validation });
+  }
+  log.info(`Processed ${file} -> ${[outputName, ...exports].join(', ')} (${metadata.chapterCount} chapters in ${volumeCount} volumes, ${detector.name} headings)`, {
+    event: 'processed',
+    id: source.id,
+    source: source.sourceZip || file,
+    output: outputName,
+    exports,
+    chapters: metadata.chapterCount,
+    volumes: volumeCount,
+    headings: detector.name
+  });
+  if (result.compression) {
+    log.info(formatStats(outputName, result.compression));
+  }
+
+  return {
+    file,
+    entry,
+    output: toResultPath(resultDir, result.outputPath),
+    exports
+  };
+}
+
+function validationWarnings(validation) {
+  const counts = {
+    gaps: validation.gaps.length,
+    'out of order': validation.outOfOrder.length,
+    'duplicate headings': validation.duplicateHeadings.length,
+    'near-duplicate bodies': validation.nearDuplicates.length,
+    short: validation.short.length,
+    huge: validation.huge.length
+  };
+  const warnings = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${count} ${label}`);
+  if (validation.removed > 0) warnings.push(`${validation.removed} removed`);
+  return warnings;
+}
+
+function toResultPath(resultDir, filePath) {
+  return path.relative(resultDir, filePath).split(path.sep).join('/');
+}
+
+module.exports = {
+  processDirectory,
+  transformBook
+};
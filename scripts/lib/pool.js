@@ -0,0 +1,103 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+// Up to `size` worker threads running `file`, started as tasks arrive. A
+// task is one message to an idle worker, answered by `{ started: true }` as
+// the worker takes it up and then `{ result }` or `{ error }`. The timeout
+// counts from `started`, so loading a new worker's modules is not charged to
+// its first task. A task that runs past its timeout, or whose worker dies,
+// rejects once the worker has been terminated; the worker is replaced for
+// the tasks still queued.
+class WorkerPool {
+  constructor(file, { size = defaultPoolSize(), workerData } = {}) {
+    this.file = file;
+    this.size = size;
+    this.workerData = workerData;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+  }
+
+  run(task, { timeout = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, timeout, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0 && (this.idle.length > 0 || this.workers.size < this.size)) {
+      const worker = this.idle.pop() || this.spawn();
+      this.start(worker, this.queue.shift());
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.file, { workerData: this.workerData });
+    worker.on('message', ({ started, result, error }) => {
+      if (started) {
+        this.startTimer(worker);
+      } else {
+        this.finish(worker, error, result);
+      }
+    });
+    worker.on('error', error => this.fail(worker, error));
+    worker.on('exit', code => this.fail(worker, new Error(`Worker stopped with exit code ${code}`)));
+    this.workers.add(worker);
+    return worker;
+  }
+
+  start(worker, job) {
+    worker.job = job;
+    worker.postMessage(job.task);
+  }
+
+  startTimer(worker) {
+    const { job } = worker;
+    if (!job || job.timeout <= 0) return;
+    job.timer = setTimeout(() => this.fail(worker, new Error(`Timed out after ${job.timeout / 1000}s`)), job.timeout);
+  }
+
+  finish(worker, error, result) {
+    const { job } = worker;
+    if (!job) return;
+    worker.job = null;
+    clearTimeout(job.timer);
+    this.idle.push(worker);
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+    this.dispatch();
+  }
+
+  fail(worker, error) {
+    const { job } = worker;
+    worker.job = null;
+    if (!this.workers.delete(worker)) return;
+    this.idle = this.idle.filter(idle => idle !== worker);
+    if (job) clearTimeout(job.timer);
+
+    worker.terminate().finally(() => {
+      if (job) job.reject(error);
+      this.dispatch();
+    });
+  }
+
+  async close() {
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+function defaultPoolSize() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+module.exports = {
+  WorkerPool,
+  defaultPoolSize
+};
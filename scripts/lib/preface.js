@@ -0,0 +1,74 @@
+// Front matter before the first heading: title, author and synopsis lines
+// that most TXT dumps carry at the top, plus anything else found there.
+
+const TITLE_REGEX = /^(?:《(.+?)》|(?:[书書]\s*名|[标標]\s*[题題])[：:]\s*(.+))/;
+const AUTHOR_REGEX = /作\s*者[：:]\s*(\S.*)$/;
+const SYNOPSIS_MARKER_REGEX = /^(?:[内內]容[简簡]介|[内內]容介[绍紹]|作品[简簡]介|[简簡]\s*介)[：:]?\s*(.*)$/;
+const DECORATION_REGEX = /^[=\-*_~—－＝#]{3,}$/;
+
+function cleanText(lines) {
+  return lines.join('\n').trim()
+    .replace(/\n\s*\n(\s*\n)+/g, '\n\n');
+}
+
+// Collect lines until the first blank line after some text was seen
+function takeBlock(lines, start) {
+  const block = [];
+  for (let i = start; i < lines.length; i++) {
+    const text = lines[i].trim();
+    if (!text) {
+      if (block.length > 0) break;
+      continue;
+    }
+    if (DECORATION_REGEX.test(text)) continue;
+    block.push(text);
+  }
+  return block;
+}
+
+function parsePreface(lines) {
+  const content = cleanText(lines);
+  if (!content) return null;
+
+  const preface = { title: null, author: null, synopsis: null, content };
+  let lastMetadataLine = -1;
+  let synopsisLines = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].trim();
+
+    const synopsisMatch = text.match(SYNOPSIS_MARKER_REGEX);
+    if (synopsisMatch) {
+      synopsisLines = [synopsisMatch[1], ...takeBlock(lines, i + 1)].filter(Boolean);
+      break;
+    }
+
+    const titleMatch = text.match(TITLE_REGEX);
+    if (titleMatch && !preface.title) {
+      preface.title = (titleMatch[1] || titleMatch[2]).trim();
+      lastMetadataLine = i;
+    }
+
+    const authorMatch = text.match(AUTHOR_REGEX);
+    if (authorMatch && !preface.author) {
+      preface.author = authorMatch[1].trim();
+      lastMetadataLine = i;
+    }
+  }
+
+  // Without an explicit marker, the paragraph right after the title/author
+  // lines is usually the blurb
+  if (!synopsisLines && lastMetadataLine >= 0) {
+    synopsisLines = takeBlock(lines, lastMetadataLine + 1);
+  }
+
+  if (synopsisLines && synopsisLines.length > 0) {
+    preface.synopsis = synopsisLines.join('\n');
+  }
+
+  return preface;
+}
+
+module.exports = {
+  parsePreface
+};
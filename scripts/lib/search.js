@@ -0,0 +1,237 @@
+// Full-text search over the static index files written next to the books.
+// This file has no dependencies and runs unchanged in Node (`require`) and
+// in the browser (a <script> tag defines `NovelSearch`), so the reader can
+// query an index with the same tokenizer that built it.
+//
+// Chinese has no spaces, so CJK text is indexed as overlapping bigrams
+// (`你好吗` -> `你好`, `好吗`); a CJK character standing alone is indexed by
+// itself. Runs of Latin letters and digits are indexed as whole words,
+// lowercased. Full-width letters and digits fold to ASCII.
+//
+// Index layout (`version` 1):
+//
+//   {
+//     version, tokenizer,
+//     books: [{ id, title, chapters: [chapter titles] }],
+//     terms: { term: [chapter, count, offset, ...offsets, chapter, count, ...] }
+//   }
+//
+// Chapters are numbered across all books in order, so in a library index
+// the second book's first chapter follows the first book's last. Each term
+// holds a flat run of postings: a chapter, how many offsets follow, then the
+// offsets. Offsets are UTF-16 positions in the chapter text (its `content`,
+// or its `paragraphs` joined with '\n'). Chapters and offsets are stored as
+// the difference from the one before, which keeps the numbers, and so the
+// file, small.
+
+(function (root) {
+  const INDEX_VERSION = 1;
+  const TOKENIZER = 'cjk-bigram';
+
+  const CJK_REGEX = /[぀-ヿ㐀-䶿一-鿿豈-﫿가-힯]/;
+  const WORD_REGEX = /[0-9a-zÀ-ɏ]/;
+
+  // One UTF-16 unit in, one out, so offsets line up with the original text
+  function fold(char) {
+    const code = char.charCodeAt(0);
+    const ascii = code >= 0xff01 && code <= 0xff5e ? String.fromCharCode(code - 0xfee0) : char;
+    const lower = ascii.toLowerCase();
+    return lower.length === 1 ? lower : ascii;
+  }
+
+  // `[{ term, offset, single }]` in text order; `single` marks a CJK
+  // character indexed on its own
+  function tokenize(text) {
+    const tokens = [];
+    const folded = Array.from({ length: text.length }, (_, i) => fold(text[i]));
+    let i = 0;
+
+    while (i < folded.length) {
+      const char = folded[i];
+      let end = i + 1;
+      if (CJK_REGEX.test(char)) {
+        while (end < folded.length && CJK_REGEX.test(folded[end])) end++;
+        if (end - i === 1) {
+          tokens.push({ term: char, offset: i, single: true });
+        } else {
+          for (let k = i; k < end - 1; k++) {
+            tokens.push({ term: folded[k] + folded[k + 1], offset: k, single: false });
+          }
+        }
+      } else if (WORD_REGEX.test(char)) {
+        while (end < folded.length && WORD_REGEX.test(folded[end])) end++;
+        tokens.push({ term: folded.slice(i, end).join(''), offset: i, single: false });
+      }
+      i = end;
+    }
+    return tokens;
+  }
+
+  // Appends one chapter's offsets (ascending) to a term's postings. `state`
+  // remembers the last chapter written to the list.
+  function appendPosting(list, state, chapter, offsets) {
+    list.push(chapter - state.chapter, offsets.length, offsets[0]);
+    for (let i = 1; i < offsets.length; i++) {
+      list.push(offsets[i] - offsets[i - 1]);
+    }
+    state.chapter = chapter;
+  }
+
+  // Calls `visit(chapter, offsets)` for every posting of a term
+  function readPostings(list, visit) {
+    let chapter = 0;
+    let i = 0;
+    while (i < list.length) {
+      chapter += list[i];
+      const count = list[i + 1];
+      const offsets = new Array(count);
+      let offset = 0;
+      for (let k = 0; k < count; k++) {
+        offset += list[i + 2 + k];
+        offsets[k] = offset;
+      }
+      visit(chapter, offsets);
+      i += 2 + count;
+    }
+  }
+
+  // Terms are plain words, so `constructor` must not find Object.prototype's
+  function hasTerm(index, term) {
+    return Object.prototype.hasOwnProperty.call(index.terms, term);
+  }
+
+  // Map of chapter -> Set of offsets where `token` occurs. A lone CJK
+  // character in a query may sit inside a longer run in the text, so it also
+  // matches as the first or second half of a bigram.
+  function lookup(index, token) {
+    const found = new Map();
+    const add = (list, shift) => readPostings(list, (chapter, offsets) => {
+      if (!found.has(chapter)) found.set(chapter, new Set());
+      const positions = found.get(chapter);
+      for (const offset of offsets) positions.add(offset + shift);
+    });
+
+    if (hasTerm(index, token.term)) add(index.terms[token.term], 0);
+    if (token.single) {
+      for (const term of Object.keys(index.terms)) {
+        if (term.length !== 2) continue;
+        if (term[0] === token.term) add(index.terms[term], 0);
+        if (term[1] === token.term) add(index.terms[term], 1);
+      }
+    }
+    return found;
+  }
+
+  // Chapters containing `phrase`, as chapter -> start offsets
+  function findPhrase(index, phrase) {
+    const tokens = tokenize(phrase);
+    if (tokens.length === 0) return null;
+
+    const postings = tokens.map(token => lookup(index, token));
+    const driver = Math.max(0, tokens.findIndex(token => !token.single));
+    const matches = new Map();
+
+    for (const [chapter, offsets] of postings[driver]) {
+      for (const offset of offsets) {
+        const start = offset - tokens[driver].offset;
+        const all = tokens.every((token, i) => {
+          const positions = postings[i].get(chapter);
+          return positions && positions.has(start + token.offset);
+        });
+        if (!all) continue;
+        if (!matches.has(chapter)) matches.set(chapter, []);
+        matches.get(chapter).push(start);
+      }
+    }
+    return matches;
+  }
+
+  // Chapters containing every whitespace-separated part of `query`, as
+  // `[{ book, bookId, chapter, title, hits: [{ offset, length }] }]`, most
+  // hits first; `chapter` counts within its book. Each part matches as a
+  // phrase.
+  function search(index, query, { limit = 50 } = {}) {
+    if (!index || index.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported search index version: ${index && index.version}`);
+    }
+
+    let results = null;
+    for (const part of String(query).split(/\s+/).filter(Boolean)) {
+      const matches = findPhrase(index, part);
+      if (!matches) continue;
+
+      const next = new Map();
+      for (const [chapter, starts] of matches) {
+        if (results && !results.has(chapter)) continue;
+        const hits = results ? results.get(chapter) : [];
+        next.set(chapter, hits.concat(starts.map(offset => ({ offset, length: part.length }))));
+      }
+      results = next;
+    }
+    if (!results) return [];
+
+    // Global chapter numbers back to book and chapter
+    const firstChapters = [];
+    let total = 0;
+    for (const book of index.books) {
+      firstChapters.push(total);
+      total += book.chapters.length;
+    }
+    const locate = chapter => {
+      let book = 0;
+      while (book + 1 < firstChapters.length && firstChapters[book + 1] <= chapter) book++;
+      return { book, chapter: chapter - firstChapters[book] };
+    };
+
+    return [...results]
+      .sort((a, b) => b[1].length - a[1].length || a[0] - b[0])
+      .slice(0, limit)
+      .map(([global, hits]) => {
+        const { book, chapter } = locate(global);
+        return {
+          book,
+          bookId: index.books[book].id,
+          chapter,
+          title: index.books[book].chapters[chapter],
+          hits: hits.sort((a, b) => a.offset - b.offset)
+        };
+      });
+  }
+
+  // One library index from per-book indexes
+  function mergeIndexes(indexes) {
+    const merged = { version: INDEX_VERSION, tokenizer: TOKENIZER, books: [], terms: Object.create(null) };
+    const states = new Map();
+    let base = 0;
+
+    for (const index of indexes) {
+      merged.books.push(...index.books);
+      for (const [term, list] of Object.entries(index.terms)) {
+        if (!merged.terms[term]) {
+          merged.terms[term] = [];
+          states.set(term, { chapter: 0 });
+        }
+        const target = merged.terms[term];
+        const state = states.get(term);
+        readPostings(list, (chapter, offsets) => appendPosting(target, state, base + chapter, offsets));
+      }
+      base += index.books.reduce((sum, book) => sum + book.chapters.length, 0);
+    }
+    return merged;
+  }
+
+  const api = {
+    INDEX_VERSION,
+    TOKENIZER,
+    tokenize,
+    appendPosting,
+    search,
+    mergeIndexes
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  } else {
+    root.NovelSearch = api;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,68 @@
+const path = require('path');
+const { isArchive } = require('./extractors');
+
+// Which books a run processes. Patterns are file names or globs (`*`, `?`,
+// `[...]`, `**` across folders) matched against a book's output ID, its file
+// names and their paths inside the archive, and the name of the archive or
+// file it came from. A plain name without an extension also means its `.txt`
+// file, so `书名` selects the book with that ID as well as `书名.txt`.
+
+const GLOB_CHARS = /[*?[]/;
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const body = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function compilePattern(pattern) {
+  if (GLOB_CHARS.test(pattern)) return globToRegExp(pattern);
+  const txtName = path.extname(pattern) === '.txt' || isArchive(pattern) ? null : `${pattern}.txt`;
+  return { test: candidate => candidate === pattern || candidate === txtName };
+}
+
+// `matches(names)` is true when any pattern matches any of `names` (always,
+// without patterns); `unmatched()` lists the patterns nothing matched so far
+function createSelector(patterns = []) {
+  const compiled = patterns.map(pattern => ({ pattern, regex: compilePattern(pattern), used: false }));
+
+  return {
+    isEmpty: compiled.length === 0,
+    matches(names) {
+      if (compiled.length === 0) return true;
+      let matched = false;
+      for (const entry of compiled) {
+        if (names.some(name => entry.regex.test(name))) {
+          entry.used = true;
+          matched = true;
+        }
+      }
+      return matched;
+    },
+    unmatched() {
+      return compiled.filter(entry => !entry.used).map(entry => entry.pattern);
+    }
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  createSelector
+};
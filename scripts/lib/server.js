@@ -0,0 +1,318 @@
+const http = require('http');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { loadCatalog } = require('./catalog');
+const { readJsonFile } = require('./compression');
+const { resolveEntryPath } = require('./guards');
+const log = require('./logger');
+
+// Local preview of a result directory, for checking a transform in a browser
+// and for developing a front end against real output. Reads whatever the
+// catalog lists, in any output mode, format version or compression:
+//
+//   /                                 library listing
+//   /books/<id>                       table of contents
+//   /books/<id>/chapters/<n>          one chapter, with prev/next links
+//   /api/books                        the catalog as JSON
+//   /api/books/<id>                   one book's preface and contents
+//   /api/books/<id>/chapters/<n>      one chapter as JSON
+//   /files/<path>                     any file under the result directory
+//
+// Chapters are numbered from 1 across all volumes. Nothing is written.
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.gz': 'application/gzip',
+  '.br': 'application/octet-stream',
+  '.zip': 'application/zip',
+  '.epub': 'application/epub+zip',
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+const STYLE = `
+body { max-width: 42em; margin: 2em auto; padding: 0 1em; font: 18px/1.8 sans-serif; color: #222; }
+a { color: #2a5db0; text-decoration: none; }
+nav { display: flex; justify-content: space-between; margin: 1.5em 0; }
+ol, ul { padding-left: 1.5em; }
+.meta { color: #777; font-size: 0.85em; }
+.chapter p { text-indent: 2em; margin: 0.6em 0; }`;
+
+// Books read from the result directory. Loaded books are kept until the
+// catalog says they were processed again; only the last few stay in memory.
+class Library {
+  constructor(resultDir, { cacheSize = 4 } = {}) {
+    this.resultDir = path.resolve(resultDir);
+    this.cacheSize = cacheSize;
+    this.cache = new Map();
+  }
+
+  async entries() {
+    return (await loadCatalog(this.resultDir)).books;
+  }
+
+  async list() {
+    return (await this.entries()).map(summarize);
+  }
+
+  // `{ entry, preface, volumes, chapters }`, or null for an unknown ID.
+  // `chapters` has every chapter in order with its volume title; chapters of
+  // split books hold only their TOC entry until `chapter` reads them.
+  async book(id) {
+    const entry = (await this.entries()).find(book => book.id === id);
+    if (!entry) return null;
+
+    const cached = this.cache.get(id);
+    if (cached && cached.entry.processedAt === entry.processedAt && cached.entry.file === entry.file) {
+      this.cache.delete(id);
+      this.cache.set(id, cached);
+      return cached;
+    }
+
+    const entryPath = resolveEntryPath(this.resultDir, entry.file);
+    if (!entryPath) throw new Error(`Catalog entry for ${id} points outside ${this.resultDir}`);
+    const data = await readJsonFile(entryPath);
+    const volumes = data.volumes || [{ title: null, chapters: data.chapters || [] }];
+    const book = {
+      entry,
+      baseDir: path.dirname(entryPath),
+      preface: data.preface || null,
+      volumes,
+      chapters: volumes.flatMap(volume => volume.chapters.map(chapter => ({ volume: volume.title, chapter })))
+    };
+
+    this.cache.set(id, book);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return book;
+  }
+
+  // Chapter `n` (from 1) of book `id` as `{ book, n, count, volume, prev,
+  // next, ...chapter }`, or null when either does not exist
+  async chapter(id, n) {
+    const book = await this.book(id);
+    if (!book || !Number.isInteger(n) || n < 1 || n > book.chapters.length) return null;
+
+    const { volume, chapter } = book.chapters[n - 1];
+    const text = chapter.file ? await this.readSplitChapter(book, chapter) : chapter;
+    return {
+      book: id,
+      n,
+      count: book.chapters.length,
+      volume,
+      prev: n > 1 ? n - 1 : null,
+      next: n < book.chapters.length ? n + 1 : null,
+      ...text
+    };
+  }
+
+  async readSplitChapter(book, tocEntry) {
+    const filePath = resolveEntryPath(book.baseDir, tocEntry.file);
+    if (!filePath) throw new Error(`Chapter ${tocEntry.id} of ${book.entry.id} points outside its book`);
+    const data = await readJsonFile(filePath);
+    const chapter = data.chapters ? data.chapters.find(packed => packed.id === tocEntry.id) : data;
+    if (!chapter) throw new Error(`Chapter ${tocEntry.id} of ${book.entry.id} is missing from ${tocEntry.file}`);
+    return chapter;
+  }
+}
+
+function summarize(entry) {
+  const summary = {
+    id: entry.id,
+    title: entry.title,
+    author: entry.author,
+    chapterCount: entry.chapterCount,
+    characterCount: entry.characterCount,
+    file: entry.file
+  };
+  if (entry.exports) summary.exports = entry.exports;
+  return summary;
+}
+
+function contents(book) {
+  let n = 0;
+  return book.volumes.map(volume => ({
+    title: volume.title,
+    chapters: volume.chapters.map(chapter => ({ n: ++n, title: chapter.title }))
+  }));
+}
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function bookUrl(id) {
+  return `/books/${encodeURIComponent(id)}`;
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function renderLibrary(books) {
+  const items = books.map(book =>
+    `<li><a href="${bookUrl(book.id)}">${escapeHtml(book.title || book.id)}</a> <span class="meta">${escapeHtml(book.author || '')} · ${book.chapterCount} chapters · ${escapeHtml(book.id)}</span></li>`);
+  const list = items.length > 0 ? `<ul>\n${items.join('\n')}\n</ul>` : '<p>No books in the catalog yet.</p>';
+  return renderPage('Library', `<h1>Library</h1>\n${list}`);
+}
+
+function renderContents(book) {
+  const { entry, preface } = book;
+  const sections = contents(book).map(volume => {
+    const heading = volume.title ? `<h2>${escapeHtml(volume.title)}</h2>\n` : '';
+    const items = volume.chapters.map(chapter =>
+      `<li value="${chapter.n}"><a href="${bookUrl(entry.id)}/chapters/${chapter.n}">${escapeHtml(chapter.title)}</a></li>`);
+    return `${heading}<ol>\n${items.join('\n')}\n</ol>`;
+  });
+  const synopsis = preface && preface.synopsis ? `<p>${escapeHtml(preface.synopsis)}</p>\n` : '';
+  return renderPage(entry.title || entry.id, [
+    '<nav><a href="/">Library</a></nav>',
+    `<h1>${escapeHtml(entry.title || entry.id)}</h1>`,
+    `<p class="meta">${escapeHtml(entry.author || '')} · ${entry.chapterCount} chapters · <a href="/api/books/${encodeURIComponent(entry.id)}">JSON</a></p>`,
+    `${synopsis}${sections.join('\n')}`
+  ].join('\n'));
+}
+
+function renderChapter(book, chapter) {
+  const base = bookUrl(book.entry.id);
+  const paragraphs = chapter.paragraphs || (chapter.content || '').split('\n').filter(line => line.trim());
+  const link = (n, label, rel) => (n ? `<a rel="${rel}" href="${base}/chapters/${n}">${label}</a>` : '<span></span>');
+  const nav = `<nav>${link(chapter.prev, '← Previous', 'prev')}<a href="${base}">Contents</a>${link(chapter.next, 'Next →', 'next')}</nav>`;
+  const volume = chapter.volume ? `<p class="meta">${escapeHtml(chapter.volume)}</p>\n` : '';
+
+  return renderPage(`${chapter.title} - ${book.entry.title || book.entry.id}`, [
+    nav,
+    `${volume}<h1>${escapeHtml(chapter.title)}</h1>`,
+    `<div class="chapter">\n${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n')}\n</div>`,
+    nav
+  ].join('\n'));
+}
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  send(res, status, CONTENT_TYPES['.json'], `${JSON.stringify(data)}\n`);
+}
+
+function sendHtml(res, html) {
+  send(res, 200, CONTENT_TYPES['.html'], html);
+}
+
+async function sendFile(res, resultDir, name) {
+  const filePath = resolveEntryPath(resultDir, name);
+  const stats = filePath && await fs.stat(filePath).catch(() => null);
+  if (!stats || !stats.isFile()) return false;
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Content-Length': stats.size
+  });
+  try {
+    await pipeline(fs.createReadStream(filePath), res);
+  } catch (error) {
+    // The client went away before the end
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+  return true;
+}
+
+// Each route resolves to false when what it names does not exist
+const ROUTES = [
+  [/^\/$/, async (library, res) => {
+    sendHtml(res, renderLibrary(await library.list()));
+  }],
+  [/^\/books\/([^/]+)$/, async (library, res, id) => {
+    const book = await library.book(id);
+    if (!book) return false;
+    sendHtml(res, renderContents(book));
+  }],
+  [/^\/books\/([^/]+)\/chapters\/(\d+)$/, async (library, res, id, n) => {
+    const chapter = await library.chapter(id, Number(n));
+    if (!chapter) return false;
+    sendHtml(res, renderChapter(await library.book(id), chapter));
+  }],
+  [/^\/api\/books$/, async (library, res) => {
+    sendJson(res, 200, { books: await library.list() });
+  }],
+  [/^\/api\/books\/([^/]+)$/, async (library, res, id) => {
+    const book = await library.book(id);
+    if (!book) return false;
+    sendJson(res, 200, { ...summarize(book.entry), preface: book.preface, volumes: contents(book) });
+  }],
+  [/^\/api\/books\/([^/]+)\/chapters\/(\d+)$/, async (library, res, id, n) => {
+    const chapter = await library.chapter(id, Number(n));
+    if (!chapter) return false;
+    sendJson(res, 200, chapter);
+  }],
+  [/^\/files\/(.+)$/, (library, res, name) => sendFile(res, library.resultDir, name)]
+];
+
+async function handle(library, req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const isApi = pathname.startsWith('/api/');
+  const notFound = () => (isApi
+    ? sendJson(res, 404, { error: `Not found: ${pathname}` })
+    : send(res, 404, 'text/plain; charset=utf-8', `Not found: ${pathname}\n`));
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed\n');
+    return;
+  }
+
+  for (const [pattern, route] of ROUTES) {
+    const match = pattern.exec(pathname);
+    if (!match) continue;
+
+    let params;
+    try {
+      params = match.slice(1).map(decodeURIComponent);
+    } catch {
+      notFound();
+      return;
+    }
+    if (await route(library, res, ...params) === false) notFound();
+    return;
+  }
+  notFound();
+}
+
+// An http.Server (not yet listening) previewing `resultDir`
+function createPreviewServer(resultDir, options = {}) {
+  const library = new Library(resultDir, options);
+  return http.createServer((req, res) => {
+    handle(library, req, res)
+      .then(() => log.debug(`${req.method} ${req.url} ${res.statusCode}`))
+      .catch(error => {
+        log.error(`${req.method} ${req.url} failed`, { error });
+        if (res.headersSent) {
+          res.destroy();
+        } else {
+          sendJson(res, 500, { error: error.message });
+        }
+      });
+  });
+}
+
+module.exports = {
+  Library,
+  createPreviewServer
+};
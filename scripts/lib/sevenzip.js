@@ -0,0 +1,117 @@
+const path = require('path');
+const { resolveEntryPath, ExtractionBudget } = require('./guards');
+
+// 7z, RAR, tar and single-file gzip/bzip2/xz archives go through 7-Zip
+// compiled to WebAssembly (the 7z-wasm package), so no native binary has to
+// be present on the runner. The real file system is mounted into the WASM
+// module and 7-Zip extracts straight to disk.
+//
+// The archive is listed before anything is written, so entry paths and sizes
+// can be checked against the extraction guards first. The listed sizes come
+// from headers that can lie (gzip keeps the size modulo 4 GiB), so extraction
+// also counts every byte 7-Zip writes and stops it once it goes past them.
+
+const MOUNT_POINT = '/host';
+
+function toMountedPath(filePath) {
+  const absolute = path.resolve(filePath);
+  const relative = path.relative(path.parse(absolute).root, absolute).split(path.sep).join('/');
+  return `${MOUNT_POINT}/${relative}`;
+}
+
+// Runs one 7-Zip command, returning its standard output lines. With
+// `maxWrite`, writes to files beyond that many bytes in total fail, and so
+// does the command, with `limitError`.
+async function runSevenZip(archivePath, args, { maxWrite = Infinity, limitError } = {}) {
+  const SevenZip = require('7z-wasm');
+  const output = [];
+  const messages = [];
+  // A fresh instance per run: 7-Zip's state after a failed run is undefined
+  const sevenZip = await SevenZip({
+    print: line => output.push(line),
+    printErr: line => messages.push(line)
+  });
+
+  // 7-Zip sets mode 000 on entries from tar archives, which would make
+  // extracted subfolders unwritable
+  const chmod = sevenZip.FS.chmod;
+  sevenZip.FS.chmod = (target, mode, dontFollow) => {
+    if (mode) chmod(target, mode, dontFollow);
+  };
+
+  let written = 0;
+  const write = sevenZip.FS.write;
+  sevenZip.FS.write = (stream, buffer, offset, length, ...rest) => {
+    if (stream.path && stream.path.startsWith(`${MOUNT_POINT}/`)) {
+      written += length;
+      if (written > maxWrite) throw new sevenZip.FS.ErrnoError(27);
+    }
+    return write(stream, buffer, offset, length, ...rest);
+  };
+
+  sevenZip.FS.mkdir(MOUNT_POINT);
+  sevenZip.FS.mount(sevenZip.NODEFS, { root: path.parse(path.resolve(archivePath)).root }, MOUNT_POINT);
+
+  // 7-Zip's exit code would otherwise become the process exit code
+  const processExitCode = process.exitCode;
+  let exitCode;
+  try {
+    exitCode = sevenZip.callMain([...args, toMountedPath(archivePath)]);
+  } catch (error) {
+    exitCode = typeof error === 'object' && error !== null && 'status' in error ? error.status : -1;
+  } finally {
+    process.exitCode = processExitCode;
+  }
+
+  if (written > maxWrite) {
+    throw limitError;
+  }
+  if (exitCode !== 0) {
+    const details = [...new Set(messages.map(line => line.trim()).filter(Boolean))].join('; ');
+    throw new Error(`Could not extract ${path.basename(archivePath)}${details ? `: ${details}` : ''}`);
+  }
+  return output;
+}
+
+// `[{ path, size, folder }]` from 7-Zip's technical listing (`l -slt`)
+async function listWithSevenZip(archivePath) {
+  const output = await runSevenZip(archivePath, ['l', '-slt', '-ba', '-bsp0']);
+  const entries = [];
+  let entry = null;
+  for (const line of output) {
+    const match = line.match(/^(\w[\w ]*?) = (.*)$/);
+    if (!match) continue;
+    const [, key, value] = match;
+    if (key === 'Path') {
+      entry = { path: value, size: 0, folder: false };
+      entries.push(entry);
+    } else if (entry && key === 'Size') {
+      entry.size = Number(value) || 0;
+    } else if (entry && ((key === 'Folder' && value === '+') || (key === 'Attributes' && value.startsWith('D')))) {
+      entry.folder = true;
+    }
+  }
+  return entries;
+}
+
+async function extractWithSevenZip(archivePath, destDir, budget = new ExtractionBudget()) {
+  const archiveName = path.basename(archivePath);
+  const files = (await listWithSevenZip(archivePath)).filter(entry => !entry.folder);
+  for (const entry of files) {
+    if (!resolveEntryPath(destDir, entry.path)) {
+      throw new Error(`Unsafe entry path in ${archiveName}: ${entry.path}`);
+    }
+  }
+  const declared = files.reduce((total, entry) => total + entry.size, 0);
+  budget.charge(archiveName, files.length, declared);
+
+  await runSevenZip(archivePath, ['x', '-y', '-bso0', '-bsp0', `-o${toMountedPath(destDir)}`], {
+    maxWrite: declared,
+    limitError: new Error(`${archiveName} unpacks to more than its listing says`)
+  });
+}
+
+module.exports = {
+  listWithSevenZip,
+  extractWithSevenZip
+};
@@ -0,0 +1,116 @@
+const path = require('path');
+const { parseChineseNumber } = require('./numerals');
+const { parseFileName } = require('./metadata');
+
+// Turning the TXT files of one source into books. An archive may hold
+// several books, or one book split into parts (`书名（上）.txt`,
+// `书名（中）.txt`, `书名（下）.txt`). Parts sharing a name are merged in order;
+// everything else becomes a book of its own.
+
+const PART_WORDS = { 上: 1, 前: 1, 中: 2, 下: 3, 后: 3, 後: 3 };
+const PART_UNIT = '(?:部|册|冊|卷|篇|集)?';
+const PART_VALUE = `上|中|下|前|后|後|[\\d０-９]+|[一二三四五六七八九十]+`;
+
+// `书名（上）作者：某某`, `书名【下册】`, `书名 part 2`, `书名上部`, `书名 下`.
+// Without brackets 上/中/下 needs a unit or a separator before it, or names
+// that merely end in one (天上, 天下) would be taken for parts.
+const PART_PATTERNS = [
+  new RegExp(`\\s*[（(【\\[]\\s*(${PART_VALUE})\\s*${PART_UNIT}\\s*[）)】\\]]`),
+  /[\s._-]*(?:part|pt)[\s._-]*(\d+)\s*$/i,
+  /[\s._-]*(上|中|下)(?:部|册|冊|卷)$/,
+  /[\s._-]+(上|中|下)$/
+];
+
+function partOrder(value) {
+  return value in PART_WORDS ? PART_WORDS[value] : parseChineseNumber(value);
+}
+
+// `{ stem, order }` when the file name carries a part marker, else null
+function splitPartMarker(fileName) {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  for (const pattern of PART_PATTERNS) {
+    const match = baseName.match(pattern);
+    if (!match) continue;
+    const stem = (baseName.slice(0, match.index) + baseName.slice(match.index + match[0].length)).trim();
+    const order = partOrder(match[1]);
+    if (stem && order !== null) return { stem, order };
+  }
+  return null;
+}
+
+// `files` are `{ name, ... }` with `name` the path inside the source. Returns
+// books as `{ name, parts }`, `name` being the shared stem for merged parts.
+function groupParts(files) {
+  const groups = new Map();
+  const books = [];
+
+  for (const file of files) {
+    const marker = splitPartMarker(file.name);
+    const key = marker && `${path.posix.dirname(file.name)}/${marker.stem}`;
+    if (!marker) {
+      books.push({ name: path.basename(file.name, path.extname(file.name)), parts: [file] });
+      continue;
+    }
+    if (!groups.has(key)) groups.set(key, { name: marker.stem, parts: [] });
+    groups.get(key).parts.push({ ...file, order: marker.order });
+  }
+
+  for (const group of groups.values()) {
+    const orders = new Set(group.parts.map(part => part.order));
+    if (group.parts.length > 1 && orders.size === group.parts.length) {
+      const parts = group.parts
+        .sort((a, b) => a.order - b.order)
+        .map(({ order, ...part }) => part);
+      books.push({ name: group.name, parts });
+    } else {
+      // A lone part, or parts that cannot be put in order: keep them apart
+      for (const { order, ...part } of group.parts) {
+        books.push({ name: path.basename(part.name, path.extname(part.name)), parts: [part] });
+      }
+    }
+  }
+
+  return books.sort((a, b) => a.parts[0].name.localeCompare(b.parts[0].name));
+}
+
+function slugify(text) {
+  return text.trim().replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^[._]+|_+$/g, '') || 'book';
+}
+
+// Output IDs: a source with one book keeps its own name (`1.zip` -> `1`);
+// books sharing a source get `<source>-<title>`. IDs in `reserved` (books of
+// sources skipped this run) and IDs taken earlier in `sources` are not
+// reused; the later book gets a numbered suffix and a collision is reported.
+//
+// `sources` is `[{ key, baseName, books }]`; every book gets an `id`.
+function assignBookIds(sources, reserved = new Map()) {
+  const taken = new Map(reserved);
+  const collisions = [];
+
+  for (const source of sources) {
+    for (const book of source.books) {
+      const wanted = source.books.length === 1
+        ? slugify(source.baseName)
+        : `${slugify(source.baseName)}-${slugify(parseFileName(book.name).title)}`;
+
+      let id = wanted;
+      for (let suffix = 2; taken.has(id); suffix++) {
+        id = `${wanted}-${suffix}`;
+      }
+      if (id !== wanted) {
+        collisions.push({ id: wanted, source: taken.get(wanted), collidingSource: source.key, renamedTo: id });
+      }
+      taken.set(id, source.key);
+      book.id = id;
+    }
+  }
+
+  return collisions;
+}
+
+module.exports = {
+  splitPartMarker,
+  groupParts,
+  slugify,
+  assignBookIds
+};
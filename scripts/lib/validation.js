@@ -0,0 +1,202 @@
+const { parseHeadingNumber } = require('./numerals');
+
+// Sanity checks over the chapters of one book as they stream past:
+//
+//   gaps              numbers that jump forward, e.g. 第十章 straight to 第十二章
+//   outOfOrder        numbers that go backwards (a drop to 1 is a restart,
+//                     as when each volume numbers its own chapters)
+//   duplicateHeadings the exact same heading more than once, within one run
+//                     of numbering (a restart at 1 begins a new run)
+//   nearDuplicates    bodies that are identical or nearly so to an earlier one
+//   short / huge      chapters far below or above the book's median size
+//
+// Chapters are referred to by their 1-based position in the source. With
+// `dedupe`, near-duplicate chapters are dropped before they are written.
+
+// Bodies shorter than this are too small to compare meaningfully
+const MIN_COMPARE_LENGTH = 100;
+// Simhash bits that may differ between near-identical bodies; the 64-bit
+// hash is split into 4 bands, so any match within 3 bits shares a band
+const MAX_HASH_DISTANCE = 3;
+const BANDS = 4;
+const SHINGLE_SIZE = 3;
+
+const SHORT_RATIO = 0.1;
+const HUGE_RATIO = 8;
+const MIN_SHORT_LENGTH = 200;
+
+function fnv1a(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// 64-bit simhash over character shingles, as two 32-bit halves
+function simhash(text) {
+  const weights = new Int32Array(64);
+  const chars = [...text.replace(/\s/g, '')];
+  for (let i = 0; i + SHINGLE_SIZE <= chars.length; i++) {
+    const shingle = chars.slice(i, i + SHINGLE_SIZE).join('');
+    const halves = [fnv1a(shingle, 0x811c9dc5), fnv1a(shingle, 0x050c5d1f)];
+    for (let bit = 0; bit < 64; bit++) {
+      const half = halves[bit >> 5];
+      weights[bit] += (half >>> (bit & 31)) & 1 ? 1 : -1;
+    }
+  }
+
+  const hash = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) hash[bit >> 5] |= 1 << (bit & 31);
+  }
+  return hash.map(half => half >>> 0);
+}
+
+function popcount(value) {
+  let count = 0;
+  let rest = value >>> 0;
+  while (rest) {
+    rest &= rest - 1;
+    count++;
+  }
+  return count;
+}
+
+function hashDistance(a, b) {
+  return popcount(a[0] ^ b[0]) + popcount(a[1] ^ b[1]);
+}
+
+function bandKeys(hash) {
+  const keys = [];
+  for (let band = 0; band < BANDS; band++) {
+    const half = hash[band >> 1];
+    const bits = (band & 1) ? half >>> 16 : half & 0xffff;
+    keys.push(`${band}:${bits}`);
+  }
+  return keys;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+class ChapterValidator {
+  constructor({ dedupe = false } = {}) {
+    this.dedupe = dedupe;
+    this.position = 0;
+    this.previous = null;
+    this.seenNumbers = new Set();
+    this.numbering = 0;
+    this.sizes = [];
+    this.headings = new Map();
+    this.bands = new Map();
+    this.issues = { gaps: [], outOfOrder: [], nearDuplicates: [] };
+  }
+
+  // Returns true when the chapter should be kept
+  check(chapter) {
+    this.position++;
+    const position = this.position;
+    const text = chapter.paragraphs ? chapter.paragraphs.join('\n') : chapter.content;
+
+    const duplicate = this.findDuplicate(text, chapter.title);
+    if (duplicate) {
+      const removed = this.dedupe;
+      this.issues.nearDuplicates.push({
+        chapter: position,
+        title: chapter.title,
+        duplicateOf: duplicate.chapter,
+        duplicateOfTitle: duplicate.title,
+        distance: duplicate.distance,
+        removed
+      });
+      if (removed) return false;
+    }
+
+    this.checkNumber(position, chapter.title, chapter.number);
+    this.sizes.push({ chapter: position, title: chapter.title, characterCount: chapter.characterCount });
+
+    const key = `${this.numbering}\n${chapter.title}`;
+    if (!this.headings.has(key)) this.headings.set(key, { title: chapter.title, chapters: [] });
+    this.headings.get(key).chapters.push(position);
+
+    return true;
+  }
+
+  checkNumber(position, title, number = parseHeadingNumber(title)) {
+    if (number === null) return;
+
+    const previous = this.previous;
+    this.previous = { chapter: position, title, number };
+    if (previous && number === 1 && previous.number > 1) {
+      this.seenNumbers.clear();
+      this.numbering++;
+    }
+
+    if (previous && number > previous.number + 1) {
+      // Skip the gap when its numbers all turned up earlier, out of order
+      const from = previous.number + 1;
+      const to = number - 1;
+      const seen = [...this.seenNumbers].filter(n => n >= from && n <= to).length;
+      if (seen < to - from + 1) {
+        this.issues.gaps.push({ after: previous.title, before: title, missing: [from, to] });
+      }
+    } else if (previous && number < previous.number && number !== 1) {
+      this.issues.outOfOrder.push({ chapter: position, title, number, previous: previous.number });
+    }
+    this.seenNumbers.add(number);
+  }
+
+  findDuplicate(text, title) {
+    if ([...text].length < MIN_COMPARE_LENGTH) return null;
+
+    const hash = simhash(text);
+    let best = null;
+    const keys = bandKeys(hash);
+    for (const key of keys) {
+      for (const candidate of this.bands.get(key) || []) {
+        const distance = hashDistance(hash, candidate.hash);
+        if (distance <= MAX_HASH_DISTANCE && (!best || distance < best.distance)) {
+          best = { chapter: candidate.chapter, title: candidate.title, distance };
+        }
+      }
+    }
+
+    // Dropped chapters are not kept as originals for later comparisons
+    if (!best || !this.dedupe) {
+      const entry = { chapter: this.position, title, hash };
+      for (const key of keys) {
+        if (!this.bands.has(key)) this.bands.set(key, []);
+        this.bands.get(key).push(entry);
+      }
+    }
+    return best;
+  }
+
+  report() {
+    const typical = median(this.sizes.map(size => size.characterCount));
+    const shortLimit = Math.min(MIN_SHORT_LENGTH, typical * SHORT_RATIO);
+
+    return {
+      chaptersChecked: this.position,
+      medianCharacterCount: typical,
+      gaps: this.issues.gaps,
+      outOfOrder: this.issues.outOfOrder,
+      duplicateHeadings: [...this.headings.values()].filter(heading => heading.chapters.length > 1),
+      nearDuplicates: this.issues.nearDuplicates,
+      short: this.sizes.filter(size => size.characterCount < shortLimit),
+      huge: this.sizes.filter(size => typical > 0 && size.characterCount > typical * HUGE_RATIO),
+      removed: this.issues.nearDuplicates.filter(duplicate => duplicate.removed).length
+    };
+  }
+}
+
+module.exports = {
+  simhash,
+  hashDistance,
+  ChapterValidator
+};
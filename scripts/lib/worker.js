@@ -0,0 +1,18 @@
+const { parentPort, workerData } = require('worker_threads');
+const { processBook } = require('./book');
+const log = require('./logger');
+
+// Worker thread for the pool in pipeline.js: decodes, splits and writes one
+// book per message. Tasks are `{ paths, outputBase, options }` with the
+// options processBook takes, heading candidates included; see pool.js for
+// the replies.
+log.configure(workerData.log);
+
+parentPort.on('message', async ({ paths, outputBase, options }) => {
+  parentPort.postMessage({ started: true });
+  try {
+    parentPort.postMessage({ result: await processBook(paths, outputBase, options) });
+  } catch (error) {
+    parentPort.postMessage({ error });
+  }
+});
@@ -0,0 +1,43 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Scratch space for extracted archives. It lives in the OS temp directory so
+// data/ stays read-only input, and it is removed when the run ends: through
+// `dispose()` on success or failure, or right away when the process is
+// interrupted. The signal is then raised again so it does what it would have
+// done without us: the default action, or whatever handlers the host has.
+
+const SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+async function createWorkspace(prefix = 'novels-') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+
+  const release = () => {
+    for (const signal of SIGNALS) {
+      process.removeListener(signal, onSignal);
+    }
+  };
+  const onSignal = signal => {
+    release();
+    fs.removeSync(dir);
+    // Host handlers have already seen this signal; only stand in for the
+    // default action
+    if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+  };
+  for (const signal of SIGNALS) {
+    process.once(signal, onSignal);
+  }
+
+  return {
+    dir,
+    async dispose() {
+      release();
+      await fs.remove(dir);
+    }
+  };
+}
+
+module.exports = {
+  createWorkspace
+};
@@ -0,0 +1,273 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+
+// EPUB 3 export built from the same preface/volume/chapter events as the
+// JSON writers. Chapter pages are written to a temporary directory as they
+// arrive and zipped from disk at the end, so memory stays bounded. Both a
+// nav document and an NCX are included for older readers.
+
+const LANGUAGE = 'zh';
+
+const STYLESHEET = `body { margin: 0 5%; line-height: 1.8; }
+h1, h2 { text-align: center; margin: 2em 0 1em; }
+p { text-indent: 2em; margin: 0 0 0.5em; }
+.synopsis p { text-indent: 0; }
+`;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A page that is opened only when the zip writer first reads it. fs read
+// streams open their file as soon as they are created, which held one
+// descriptor per chapter until the whole book was zipped.
+function lazyReadStream(filePath) {
+  let source = null;
+  const stream = new Readable({
+    read() {
+      if (source) {
+        source.resume();
+        return;
+      }
+      source = fs.createReadStream(filePath);
+      source.on('data', chunk => {
+        if (!stream.push(chunk)) source.pause();
+      });
+      source.on('end', () => stream.push(null));
+      source.on('error', error => stream.destroy(error));
+    },
+    destroy(error, callback) {
+      if (source) source.destroy();
+      callback(error);
+    }
+  });
+  return stream;
+}
+
+function paragraphs(content) {
+  const lines = Array.isArray(content) ? content : (content || '').split('\n');
+  return lines
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => `    <p>${escapeXml(line)}</p>`)
+    .join('\n');
+}
+
+function xhtmlPage(title, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${LANGUAGE}" lang="${LANGUAGE}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="../style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Deterministic identifier so rebuilding the same source keeps the same book
+function bookIdentifier(hash) {
+  const hex = (hash || '0'.repeat(32)).slice(0, 32);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+class EpubBookWriter {
+  constructor(outputBase) {
+    this.outputFile = `${outputBase}.epub`;
+    this.entryFile = this.outputFile;
+    this.outputPath = this.outputFile;
+    this.tempDir = `${outputBase}.epub.parts`;
+    this.stats = null;
+    this.pages = [];
+    this.volumes = [];
+  }
+
+  async open() {
+    await fs.emptyDir(path.join(this.tempDir, 'text'));
+  }
+
+  async addPage(name, title, body) {
+    const href = `text/${name}.xhtml`;
+    await fs.writeFile(path.join(this.tempDir, href), xhtmlPage(title, body));
+    this.pages.push({ id: name, href });
+    return href;
+  }
+
+  async writePreface(preface) {
+    const title = preface.title || '前言';
+    const body = preface.synopsis
+      ? `  <section epub:type="preface" class="synopsis">\n    <h1>${escapeXml(title)}</h1>\n${paragraphs(preface.synopsis)}\n  </section>`
+      : `  <section epub:type="preface">\n    <h1>${escapeXml(title)}</h1>\n${paragraphs(preface.content)}\n  </section>`;
+    this.preface = { title, href: await this.addPage('preface', title, body) };
+  }
+
+  async writeVolume(volume) {
+    const entry = { title: volume.title, href: null, chapters: [] };
+    if (volume.title !== null) {
+      const name = `volume-${String(this.volumes.length + 1).padStart(4, '0')}`;
+      const body = `  <section epub:type="part">\n    <h1>${escapeXml(volume.title)}</h1>\n${paragraphs(volume.content)}\n  </section>`;
+      entry.href = await this.addPage(name, volume.title, body);
+    }
+    this.volumes.push(entry);
+  }
+
+  async writeChapter(chapter) {
+    const count = this.volumes.reduce((total, volume) => total + volume.chapters.length, 0);
+    const name = `chapter-${String(count + 1).padStart(5, '0')}`;
+    const body = `  <section epub:type="chapter">\n    <h2>${escapeXml(chapter.title)}</h2>\n${paragraphs(chapter.paragraphs || chapter.content)}\n  </section>`;
+    const href = await this.addPage(name, chapter.title, body);
+    this.volumes[this.volumes.length - 1].chapters.push({ title: chapter.title, href });
+  }
+
+  // Table of contents entries: the preface, then volumes with their chapters
+  // nested (chapters of the untitled volume sit at the top level)
+  tocEntries() {
+    const entries = [];
+    if (this.preface) entries.push({ title: this.preface.title, href: this.preface.href, children: [] });
+    for (const volume of this.volumes) {
+      const children = volume.chapters.map(chapter => ({ ...chapter, children: [] }));
+      if (volume.href) {
+        entries.push({ title: volume.title, href: volume.href, children });
+      } else {
+        entries.push(...children);
+      }
+    }
+    return entries;
+  }
+
+  navDocument(title) {
+    const render = (entries, indent) => entries.map(entry => {
+      const link = `<a href="${escapeXml(entry.href)}">${escapeXml(entry.title)}</a>`;
+      if (entry.children.length === 0) return `${indent}<li>${link}</li>`;
+      return `${indent}<li>${link}\n${indent}  <ol>\n${render(entry.children, `${indent}    `)}\n${indent}  </ol>\n${indent}</li>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${LANGUAGE}" lang="${LANGUAGE}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>目录</h1>
+    <ol>
+${render(this.tocEntries(), '      ')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+  }
+
+  ncxDocument(identifier, title) {
+    let playOrder = 0;
+    const render = (entries, indent) => entries.map(entry => {
+      playOrder++;
+      const children = entry.children.length > 0 ? `\n${render(entry.children, `${indent}  `)}` : '';
+      return `${indent}<navPoint id="nav-${playOrder}" playOrder="${playOrder}">
+${indent}  <navLabel><text>${escapeXml(entry.title)}</text></navLabel>
+${indent}  <content src="${escapeXml(entry.href)}"/>${children}
+${indent}</navPoint>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1" xml:lang="${LANGUAGE}">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${render(this.tocEntries(), '    ')}
+  </navMap>
+</ncx>
+`;
+  }
+
+  packageDocument(identifier, metadata) {
+    const modified = (metadata.processedAt || new Date().toISOString()).replace(/\.\d+Z$/, 'Z');
+    const items = this.pages
+      .map(page => `    <item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`)
+      .join('\n');
+    const spine = this.pages.map(page => `    <itemref idref="${page.id}"/>`).join('\n');
+    const creator = metadata.author ? `\n    <dc:creator>${escapeXml(metadata.author)}</dc:creator>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${LANGUAGE}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(metadata.title)}</dc:title>${creator}
+    <dc:language>${LANGUAGE}</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+${items}
+  </manifest>
+  <spine toc="ncx">
+${spine}
+  </spine>
+</package>
+`;
+  }
+
+  async close(metadata = {}) {
+    const identifier = bookIdentifier(metadata.hash);
+    const title = metadata.title || path.basename(this.outputFile, '.epub');
+
+    const zip = new JSZip();
+    // The mimetype entry has to come first and stay uncompressed
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+    zip.file('OEBPS/content.opf', this.packageDocument(identifier, { ...metadata, title }));
+    zip.file('OEBPS/nav.xhtml', this.navDocument(title));
+    zip.file('OEBPS/toc.ncx', this.ncxDocument(identifier, title));
+    zip.file('OEBPS/style.css', STYLESHEET);
+    for (const page of this.pages) {
+      zip.file(`OEBPS/${page.href}`, lazyReadStream(path.join(this.tempDir, page.href)));
+    }
+
+    const tempFile = `${this.outputFile}.tmp`;
+    await pipeline(
+      zip.generateNodeStream({
+        // No streamFiles: data descriptors on the mimetype entry upset some readers
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 9 },
+        mimeType: 'application/epub+zip'
+      }),
+      fs.createWriteStream(tempFile)
+    );
+    await fs.move(tempFile, this.outputFile, { overwrite: true });
+    await fs.remove(this.tempDir);
+  }
+
+  async abort() {
+    await fs.remove(this.tempDir);
+    await fs.remove(`${this.outputFile}.tmp`);
+  }
+}
+
+module.exports = {
+  EpubBookWriter
+};
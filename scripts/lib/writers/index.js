@@ -0,0 +1,44 @@
+const { JsonBookWriter } = require('./json');
+const { SplitBookWriter } = require('./split');
+const { EpubBookWriter } = require('./epub');
+const { SearchIndexWriter } = require('./search');
+
+// Every writer takes the same calls in order: open, writePreface,
+// writeVolume/writeChapter as the book streams through, then close(metadata)
+// or abort. `entryFile` is the file readers should open first, `outputPath`
+// is everything the writer produced (a file or a directory), and `stats`
+// holds compression sizes when a compressed format was written.
+const OUTPUT_MODES = ['single', 'split'];
+
+// Extra formats written alongside the JSON output from the same pass. The
+// search index is JSON too and is compressed like the book (`options.format`).
+const EXPORT_FORMATS = ['epub', 'search'];
+
+function createBookWriter(outputBase, { outputMode = 'single', ...options } = {}) {
+  switch (outputMode) {
+    case 'single':
+      return new JsonBookWriter(outputBase, options);
+    case 'split':
+      return new SplitBookWriter(outputBase, options);
+    default:
+      throw new Error(`Unknown output mode: ${outputMode}`);
+  }
+}
+
+function createExportWriter(outputBase, format, options = {}) {
+  switch (format) {
+    case 'epub':
+      return new EpubBookWriter(outputBase);
+    case 'search':
+      return new SearchIndexWriter(outputBase, options);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  EXPORT_FORMATS,
+  createBookWriter,
+  createExportWriter
+};
@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { getExtension, compressFile } = require('../compression');
+
+// Writes the book JSON piece by piece as chapters arrive, so the whole book
+// never has to be in memory. Output goes to a temporary file that replaces
+// the real one only when the book closes successfully; compressed formats
+// are produced from that file, and their size stats end up in `stats`.
+//
+// Keys come out as: formatVersion, headingPattern, preface, volumes (or
+// chapters for format 1), metadata.
+class JsonBookWriter {
+  constructor(outputBase, { format = 'json', formatVersion = 2, headingPattern } = {}) {
+    this.outputFile = `${outputBase}${getExtension(format)}`;
+    this.entryFile = this.outputFile;
+    this.outputPath = this.outputFile;
+    this.tempFile = `${outputBase}.json.tmp`;
+    this.format = format;
+    this.stats = null;
+    this.formatVersion = formatVersion;
+    this.headingPattern = headingPattern;
+    this.stream = null;
+    this.listOpen = false;
+    this.volumeOpen = false;
+    this.chapterCount = 0;
+  }
+
+  async write(text) {
+    if (!this.stream.write(text)) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  async open() {
+    this.stream = fs.createWriteStream(this.tempFile);
+    await this.write(`{"formatVersion":${this.formatVersion},"headingPattern":${JSON.stringify(this.headingPattern)}`);
+  }
+
+  async writePreface(preface) {
+    await this.write(`,"preface":${JSON.stringify(preface)}`);
+  }
+
+  async writeVolume(volume) {
+    if (this.formatVersion === 1) return;
+
+    let text = this.listOpen ? '' : ',"volumes":[';
+    if (this.volumeOpen) text += ']},';
+    const { chapters, ...fields } = volume;
+    text += `${JSON.stringify(fields).slice(0, -1)},"chapters":[`;
+
+    this.listOpen = true;
+    this.volumeOpen = true;
+    this.chapterCount = 0;
+    await this.write(text);
+  }
+
+  async writeChapter(chapter) {
+    let text = '';
+    if (this.formatVersion === 1 && !this.listOpen) {
+      text += ',"chapters":[';
+      this.listOpen = true;
+    }
+    if (this.chapterCount > 0) text += ',';
+    this.chapterCount++;
+    await this.write(text + JSON.stringify(chapter));
+  }
+
+  async close(metadata) {
+    let text = '';
+    if (this.volumeOpen) text += ']}';
+    if (this.listOpen) text += ']';
+    if (metadata) text += `,"metadata":${JSON.stringify(metadata)}`;
+    await this.write(`${text}}`);
+
+    this.stream.end();
+    await finished(this.stream);
+
+    if (this.format === 'json') {
+      await fs.move(this.tempFile, this.outputFile, { overwrite: true });
+    } else {
+      this.stats = await compressFile(this.tempFile, this.outputFile, this.format);
+      await fs.remove(this.tempFile);
+    }
+  }
+
+  async abort() {
+    if (this.stream) {
+      this.stream.destroy();
+      await finished(this.stream).catch(() => {});
+    }
+    await fs.remove(this.tempFile);
+  }
+}
+
+module.exports = {
+  JsonBookWriter
+};
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { INDEX_VERSION, TOKENIZER, tokenize, appendPosting, mergeIndexes } = require('../search');
+const { FORMATS, getExtension, writeJsonFile, readJsonFile } = require('../compression');
+const log = require('../logger');
+
+const LIBRARY_INDEX_BASE = 'search-index';
+
+function libraryIndexFile(format = 'json') {
+  return `${LIBRARY_INDEX_BASE}${getExtension(format)}`;
+}
+
+// Search index export: `<base>.search.json` (or .json.gz etc., following
+// `format`), a single-book index in the format described in ../search.js.
+// Postings are collected per chapter as the chapters stream past; the index
+// itself has to be held until close. Uncompressed, an index takes about
+// twice the space of the book's text.
+class SearchIndexWriter {
+  constructor(outputBase, { format = 'json' } = {}) {
+    this.outputFile = `${outputBase}.search${getExtension(format)}`;
+    this.format = format;
+    this.entryFile = this.outputFile;
+    this.outputPath = this.outputFile;
+    this.tempFile = `${this.outputFile}.tmp`;
+    this.stats = null;
+    this.chapters = [];
+    this.terms = new Map();
+  }
+
+  async open() {}
+
+  async writePreface() {}
+
+  async writeVolume() {}
+
+  async writeChapter(chapter) {
+    const number = this.chapters.length;
+    this.chapters.push(chapter.title);
+
+    const text = chapter.paragraphs ? chapter.paragraphs.join('\n') : chapter.content;
+    const offsets = new Map();
+    for (const { term, offset } of tokenize(text)) {
+      if (!offsets.has(term)) offsets.set(term, []);
+      offsets.get(term).push(offset);
+    }
+    for (const [term, positions] of offsets) {
+      if (!this.terms.has(term)) this.terms.set(term, { list: [], state: { chapter: 0 } });
+      const { list, state } = this.terms.get(term);
+      appendPosting(list, state, number, positions);
+    }
+  }
+
+  async close(metadata = {}) {
+    const terms = Object.create(null);
+    for (const term of [...this.terms.keys()].sort()) {
+      terms[term] = this.terms.get(term).list;
+    }
+    const index = {
+      version: INDEX_VERSION,
+      tokenizer: TOKENIZER,
+      books: [{ id: metadata.id, title: metadata.title, chapters: this.chapters }],
+      terms
+    };
+    await writeJsonFile(this.tempFile, index, this.format);
+    await fs.move(this.tempFile, this.outputFile, { overwrite: true });
+  }
+
+  async abort() {
+    await fs.remove(this.tempFile);
+  }
+}
+
+// result/search-index.json (or .json.gz etc.): the search indexes of every
+// book in the catalog merged into one, in catalog order. Books without an
+// index are left out. This repeats every book index, so it is as large as
+// all of them together.
+async function writeLibraryIndex(resultDir, catalog, { format = 'json' } = {}) {
+  const libraryFile = libraryIndexFile(format);
+  const indexes = [];
+  for (const book of catalog.books) {
+    const file = book.exports && book.exports.search;
+    if (!file || !await fs.pathExists(path.join(resultDir, file))) {
+      log.warn(`No search index for ${book.id}; leaving it out of ${libraryFile}`);
+      continue;
+    }
+    indexes.push(await readJsonFile(path.join(resultDir, file)));
+  }
+
+  const outputFile = path.join(resultDir, libraryFile);
+  await writeJsonFile(`${outputFile}.tmp`, mergeIndexes(indexes), format);
+  await fs.move(`${outputFile}.tmp`, outputFile, { overwrite: true });
+  return { file: libraryFile, books: indexes.length };
+}
+
+// Removes library indexes other than `keep`, so one left by an earlier run
+// (without a library index, or in another format) does not point at per-book
+// indexes that have since been removed
+async function removeLibraryIndex(resultDir, keep = null) {
+  for (const format of Object.keys(FORMATS)) {
+    const file = libraryIndexFile(format);
+    if (file !== keep) await fs.remove(path.join(resultDir, file));
+  }
+}
+
+module.exports = {
+  libraryIndexFile,
+  SearchIndexWriter,
+  writeLibraryIndex,
+  removeLibraryIndex
+};
@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { getExtension, emptyStats, addStats, writeJsonFile } = require('../compression');
+
+const TOC_NAME = 'toc';
+
+// Writes `<name>/toc.json` plus the chapter text in separate files so readers
+// can load the table of contents first and fetch chapters on demand:
+//
+//   packSize 0: `<name>/chapters/<id>.json`, one chapter per file
+//   packSize N: `<name>/packs/0001.json`, N chapters per file
+//
+// Compressed formats apply to every file, extension included (`toc.json.gz`).
+//
+// Chapter IDs hash the volume title, chapter title and how many times that
+// pair has been seen, so they survive chapters being added or removed
+// elsewhere in the book. Each TOC entry names the file holding its chapter.
+class SplitBookWriter {
+  constructor(outputDir, { format = 'json', formatVersion = 2, headingPattern, packSize = 0 } = {}) {
+    this.outputDir = outputDir;
+    this.outputPath = outputDir;
+    this.tempDir = `${outputDir}.tmp`;
+    this.format = format;
+    this.extension = getExtension(format);
+    this.entryFile = path.join(outputDir, `${TOC_NAME}${this.extension}`);
+    this.stats = format === 'json' ? null : emptyStats();
+    this.formatVersion = formatVersion;
+    this.headingPattern = headingPattern;
+    this.packSize = packSize;
+    this.preface = null;
+    this.volumes = [];
+    this.seen = new Map();
+    this.pack = [];
+    this.packCount = 0;
+  }
+
+  async open() {
+    await fs.emptyDir(this.tempDir);
+    await fs.ensureDir(path.join(this.tempDir, this.packSize > 0 ? 'packs' : 'chapters'));
+  }
+
+  async writePreface(preface) {
+    this.preface = preface;
+  }
+
+  async writeVolume(volume) {
+    this.volumes.push({ ...volume, chapters: [] });
+  }
+
+  chapterId(title) {
+    const volumeTitle = this.volumes[this.volumes.length - 1].title || '';
+    const key = `${volumeTitle}\n${title}`;
+    const occurrence = this.seen.get(key) || 0;
+    this.seen.set(key, occurrence + 1);
+    return crypto.createHash('sha1').update(`${key}\n${occurrence}`).digest('hex').slice(0, 12);
+  }
+
+  async writeChapter(chapter) {
+    const id = this.chapterId(chapter.title);
+    const entry = { id, title: chapter.title, number: chapter.number, name: chapter.name };
+
+    if (this.packSize > 0) {
+      entry.file = this.packFile(this.packCount + 1);
+      this.pack.push({ id, ...chapter });
+      if (this.pack.length >= this.packSize) await this.flushPack();
+    } else {
+      entry.file = `chapters/${id}${this.extension}`;
+      await this.writeFile(entry.file, { id, ...chapter });
+    }
+
+    this.volumes[this.volumes.length - 1].chapters.push(entry);
+  }
+
+  packFile(number) {
+    return `packs/${String(number).padStart(4, '0')}${this.extension}`;
+  }
+
+  async writeFile(relativePath, data) {
+    const stats = await writeJsonFile(path.join(this.tempDir, relativePath), data, this.format);
+    if (this.stats) addStats(this.stats, stats);
+  }
+
+  async flushPack() {
+    if (this.pack.length === 0) return;
+    this.packCount++;
+    await this.writeFile(this.packFile(this.packCount), { chapters: this.pack });
+    this.pack = [];
+  }
+
+  async close(metadata) {
+    await this.flushPack();
+
+    const toc = { formatVersion: this.formatVersion, headingPattern: this.headingPattern };
+    if (this.preface) toc.preface = this.preface;
+    if (this.formatVersion === 1) {
+      toc.chapters = this.volumes.flatMap(volume => volume.chapters);
+    } else {
+      toc.volumes = this.volumes;
+    }
+    if (this.packSize > 0) toc.packSize = this.packSize;
+    if (metadata) toc.metadata = metadata;
+    await this.writeFile(`${TOC_NAME}${this.extension}`, toc);
+
+    await fs.remove(this.outputDir);
+    await fs.move(this.tempDir, this.outputDir);
+  }
+
+  async abort() {
+    await fs.remove(this.tempDir);
+  }
+}
+
+module.exports = {
+  SplitBookWriter
+};
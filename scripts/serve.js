@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createPreviewServer } = require('./lib/server');
+const { CATALOG_FILE } = require('./lib/catalog');
+const log = require('./lib/logger');
+
+// Command-line wrapper around lib/server.js: serves a result directory for
+// reading the books in a browser and for front-end development.
+
+const DEFAULT_CONFIG_FILE = 'novels.config.json';
+
+const USAGE = `Usage: node scripts/serve.js [options]
+
+Serves the output directory on a local HTTP server: a library listing at /,
+each book's contents at /books/<id>, chapters at /books/<id>/chapters/<n>
+with previous/next links, and the same as JSON under /api/books. Files in
+the output directory are served as they are under /files/.
+
+Options:
+  -o, --output <dir>      Directory to serve (default: outputDir from the
+                          config file, or result)
+  -c, --config <file>     Config file (default: ${DEFAULT_CONFIG_FILE} if present)
+  -p, --port <n>          Port to listen on (default: 8080)
+      --host <address>    Address to listen on (default: 127.0.0.1)
+  -v, --verbose           Log every request
+  -h, --help              Show this help`;
+
+async function loadOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      output: { type: 'string', short: 'o' },
+      config: { type: 'string', short: 'c' },
+      port: { type: 'string', short: 'p' },
+      host: { type: 'string' },
+      verbose: { type: 'boolean', short: 'v' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const configPath = path.resolve(values.config || DEFAULT_CONFIG_FILE);
+  let config = {};
+  if (await fs.pathExists(configPath)) {
+    config = await fs.readJson(configPath);
+  } else if (values.config) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const port = Number(values.port || 8080);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${values.port}`);
+  }
+
+  return {
+    outputDir: path.resolve(values.output || config.outputDir || 'result'),
+    port,
+    host: values.host || '127.0.0.1',
+    verbose: Boolean(values.verbose)
+  };
+}
+
+async function main(argv) {
+  const { help, outputDir, port, host, verbose } = await loadOptions(argv);
+  if (help) {
+    console.log(USAGE);
+    return null;
+  }
+  log.configure({ level: verbose ? 'debug' : 'info' });
+
+  if (!await fs.pathExists(outputDir)) {
+    throw new Error(`Output directory not found: ${outputDir}`);
+  }
+  if (!await fs.pathExists(path.join(outputDir, CATALOG_FILE))) {
+    log.warn(`${outputDir} has no ${CATALOG_FILE} yet; run scripts/transform.js first`);
+  }
+
+  const server = createPreviewServer(outputDir);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  log.info(`Serving ${outputDir} at http://${host}:${address.port}/`);
+  return server;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    log.error('Error', { error });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadOptions,
+  main
+};
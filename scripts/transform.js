@@ -1,146 +1,191 @@
 const fs = require('fs-extra');
 const path = require('path');
-const unzipper = require('unzipper');
-const iconv = require('iconv-lite');
-
-async function processFiles(selectedFiles = []) {
-  try {
-    const dataDir = path.join(process.cwd(), 'data');
-    const resultDir = path.join(process.cwd(), 'result');
-    
-    await fs.ensureDir(dataDir);
-    await fs.ensureDir(resultDir);
-
-    // Track which zip files contain which txt files
-    const zipToTxtMap = new Map();
-
-    // Process ZIP files
-    const zipFiles = (await fs.readdir(dataDir)).filter(file => file.endsWith('.zip'));
-    for (const zipFile of zipFiles) {
-      console.log(`Extracting ${zipFile}...`);
-      const zipPath = path.join(dataDir, zipFile);
-      const zipBaseName = path.basename(zipFile, '.zip');
-      
-      const tempExtractDir = path.join(dataDir, `temp_${zipBaseName}`);
-      await fs.ensureDir(tempExtractDir);
-      
-      await fs.createReadStream(zipPath)
-        .pipe(unzipper.Extract({ path: tempExtractDir }))
-        .promise();
-
-      const extractedFiles = await fs.readdir(tempExtractDir);
-      const txtFiles = extractedFiles.filter(file => file.endsWith('.txt'));
-      
-      // Map each txt file to its parent zip
-      for (const txtFile of txtFiles) {
-        const newTxtPath = path.join(dataDir, txtFile);
-        await fs.move(
-          path.join(tempExtractDir, txtFile),
-          newTxtPath
-        );
-        zipToTxtMap.set(txtFile, zipBaseName);
-        console.log(`Extracted ${txtFile} from ${zipFile}`);
-      }
-      
-      await fs.remove(tempExtractDir);
-    }
+const { parseArgs } = require('util');
+const { OUTPUT_MODES, EXPORT_FORMATS } = require('./lib/writers');
+const { FORMATS } = require('./lib/compression');
+const { CONVERSIONS } = require('./lib/conversion');
+const { SEARCH_INDEX_MODES } = require('./lib/options');
+const lib = require('./lib');
+const log = require('./lib/logger');
+
+// Command-line wrapper around the library in lib/: reads the arguments and
+// the config file, then runs processDirectory. `require` this file (or lib/)
+// to use decode, splitChapters, transformBook and processDirectory directly.
+
+const DEFAULT_CONFIG_FILE = 'novels.config.json';
+
+const USAGE = `Usage: node scripts/transform.js [options] [file or glob ...]
+
+Turns the TXT novels in the input directory (loose or inside zip, 7z, rar and
+tar archives) into JSON under the output directory. Without file arguments
+every changed source is processed; with them, only books whose output ID,
+file name, path inside the archive, or archive name matches. A name without
+an extension also matches its .txt file. Globs (*, ?, [...], **) should be quoted.
+Read the results in a browser with node scripts/serve.js.
+Needs fs-extra, iconv-lite, chardet, jszip, unzipper, opencc-js and 7z-wasm
+installed (npm install fs-extra iconv-lite chardet jszip unzipper opencc-js 7z-wasm).
+
+Input and output:
+  -i, --input <dir>            Directory with the sources (default: data)
+  -o, --output <dir>           Directory for the results (default: result)
+  -c, --config <file>          Config file (default: ${DEFAULT_CONFIG_FILE} if present)
 
-    let allFiles = (await fs.readdir(dataDir)).filter(file => file.endsWith('.txt'));
-    
-    if (selectedFiles.length > 0) {
-      const normalizedSelectedFiles = selectedFiles.map(file => 
-        file.endsWith('.txt') ? file : `${file}.txt`
-      );
-      
-      const files = allFiles.filter(file => normalizedSelectedFiles.includes(file));
-      
-      if (files.length === 0) {
-        console.log('No matching files found in data directory.');
-        return;
-      }
-      
-      console.log(`Processing selected files: ${files.join(', ')}`);
-      await processFileSet(files, dataDir, resultDir, zipToTxtMap);
-    } else {
-      console.log('Processing all files in data directory');
-      await processFileSet(allFiles, dataDir, resultDir, zipToTxtMap);
+Output:
+  -f, --format <format>        ${Object.keys(FORMATS).join(', ')} (default: json)
+      --output-mode <mode>     ${OUTPUT_MODES.join(', ')} (default: single)
+      --pack-size <n>          Chapters per file in split mode (default: one each)
+      --format-version <n>     1 for flat chapters, 2 for volumes (default: 2)
+      --export <format>        Also write ${EXPORT_FORMATS.join(', ')}; repeatable
+      --search-index <mode>    ${SEARCH_INDEX_MODES.join(', ')}: write a full-text index per book
+                               (<id>.search.json), and with library also one for all
+                               books (search-index.json); see scripts/lib/search.js.
+                               Indexes follow --format and take about twice the
+                               size of the text before compression
+      --paragraphs             Write chapters as paragraphs with wrapped lines joined
+
+Parsing:
+  -p, --heading-pattern <re>   Chapter heading regex; repeatable
+  -e, --encoding <name>        Decode sources as this encoding instead of detecting it
+      --convert <conversion>   ${Object.keys(CONVERSIONS).join(', ')} (default: none)
+      --no-clean               Keep ads, site URLs and separator lines
+      --clean-rules <file>     JSON file with extra cleaning rules; repeatable
+      --blocklist <file>       Text file of lines to remove; repeatable
+      --dedupe                 Drop chapters that nearly duplicate an earlier one
+
+Run:
+  -j, --jobs <n>               Worker threads for decoding and splitting books
+                               (default: one per CPU; 0 for none)
+      --book-timeout <s>       Give up on a book after this many seconds in a
+                               worker (default: no limit)
+      --force                  Rebuild books even if their source is unchanged
+  -n, --dry-run                Show what would be processed without writing anything
+  -v, --verbose                Also log extraction details and stack traces
+  -q, --quiet                  Only log warnings and errors
+      --json-log               Log one JSON object per line
+  -h, --help                   Show this help
+
+Every option except --config, --help and the file arguments can also be set
+in the config file: inputDir, outputDir, format, outputMode, packSize,
+formatVersion, exports, searchIndex, paragraphs, headingPatterns, encoding, conversion,
+cleaning { enabled, disable, rules, ruleFiles, blocklistFiles }, dedupe,
+extractionLimits { maxEntries, maxBytes }, jobs, bookTimeout, force, dryRun and
+logLevel (error, warn, info, debug) / logFormat (text, json). Options on the
+command line take precedence.`;
+
+// Merges the command line over the config file (see USAGE) into options
+// for processDirectory, which validates them
+async function loadOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      input: { type: 'string', short: 'i' },
+      output: { type: 'string', short: 'o' },
+      'heading-pattern': { type: 'string', short: 'p', multiple: true },
+      'format-version': { type: 'string' },
+      'output-mode': { type: 'string' },
+      format: { type: 'string', short: 'f' },
+      'pack-size': { type: 'string' },
+      export: { type: 'string', multiple: true },
+      'search-index': { type: 'string' },
+      encoding: { type: 'string', short: 'e' },
+      convert: { type: 'string' },
+      'no-clean': { type: 'boolean' },
+      'clean-rules': { type: 'string', multiple: true },
+      blocklist: { type: 'string', multiple: true },
+      paragraphs: { type: 'boolean' },
+      dedupe: { type: 'boolean' },
+      jobs: { type: 'string', short: 'j' },
+      'book-timeout': { type: 'string' },
+      force: { type: 'boolean' },
+      'dry-run': { type: 'boolean', short: 'n' },
+      verbose: { type: 'boolean', short: 'v' },
+      quiet: { type: 'boolean', short: 'q' },
+      'json-log': { type: 'boolean' },
+      config: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h' }
     }
-    
-    console.log('Processing completed successfully!');
-  } catch (error) {
-    console.error('Error processing files:', error);
-    process.exit(1);
+  });
+
+  if (values.help) {
+    return { help: true };
   }
-}
 
-async function processFileSet(files, dataDir, resultDir, zipToTxtMap) {
-  for (const file of files) {
-    const filePath = path.join(dataDir, file);
-    
-    // Get the original zip file name (without .zip extension)
-    const zipBaseName = zipToTxtMap.get(file) || path.basename(file, '.txt');
-    const outputFile = path.join(resultDir, `${zipBaseName}.json`);
-    
-    try {
-      // Try UTF-8 first
-      let content = await fs.readFile(filePath, 'utf8');
-      
-      if (containsMalformedUTF8(content)) {
-        console.warn(`Falling back to GB18030 decoding for ${file}`);
-        const buffer = await fs.readFile(filePath);
-        content = iconv.decode(buffer, 'gb18030');
-      }
-
-      const chapters = [];
-      let currentChapter = null;
-      
-      const lines = content.split('\n');
-      for (const line of lines) {
-        if (line.match(/^第[零一二三四五六七八九十百千万\d]+章/)) {
-          if (currentChapter) chapters.push(currentChapter);
-          currentChapter = { title: line.trim(), content: [] };
-        } else if (currentChapter) {
-          if (line.trim() || currentChapter.content.length > 0) {
-            currentChapter.content.push(line);
-          }
-        }
-      }
-      
-      if (currentChapter) chapters.push(currentChapter);
-      
-      // Clean chapter content
-      chapters.forEach(chapter => {
-        chapter.content = chapter.content.join('\n').trim();
-        chapter.content = chapter.content.replace(/^\s*\n/, '').replace(/\n\s*$/, '');
-      });
-
-      if (chapters.length > 0) {
-        await fs.writeJson(outputFile, { chapters });
-        console.log(`Processed ${file} -> ${path.basename(outputFile)} (${chapters.length} chapters)`);
-      } else {
-        console.warn(`No chapters found in ${file}, skipping`);
-      }
-    } catch (error) {
-      console.error(`Error processing ${file}:`, error);
-    }
+  const configPath = path.resolve(values.config || DEFAULT_CONFIG_FILE);
+  let config = {};
+  if (await fs.pathExists(configPath)) {
+    config = await fs.readJson(configPath);
+  } else if (values.config) {
+    throw new Error(`Config file not found: ${configPath}`);
   }
-}
 
-function containsMalformedUTF8(text) {
-  return /�/.test(text) || /[^\x00-\x7F]/.test(text) && !/[一-龯]/.test(text);
+  if (values.verbose && values.quiet) {
+    throw new Error('--verbose and --quiet cannot be combined');
+  }
+  const logLevel = values.verbose ? 'debug' : values.quiet ? 'warn' : config.logLevel || 'info';
+  if (!log.isLevel(logLevel)) {
+    throw new Error(`Unknown log level: ${logLevel} (expected ${Object.keys(log.LEVELS).join(', ')})`);
+  }
+  const logFormat = values['json-log'] ? 'json' : config.logFormat || 'text';
+  if (!['text', 'json'].includes(logFormat)) {
+    throw new Error(`Unknown log format: ${logFormat} (expected text, json)`);
+  }
+
+  const cleaningConfig = config.cleaning || {};
+  return {
+    ...config,
+    inputDir: values.input || config.inputDir,
+    outputDir: values.output || config.outputDir,
+    select: positionals,
+    headingPatterns: values['heading-pattern'] || config.headingPatterns,
+    formatVersion: values['format-version'] || config.formatVersion,
+    outputMode: values['output-mode'] || config.outputMode,
+    format: values.format || config.format,
+    packSize: values['pack-size'] || config.packSize,
+    exports: values.export || config.exports,
+    searchIndex: values['search-index'] || config.searchIndex,
+    encoding: values.encoding || config.encoding,
+    conversion: values.convert || config.conversion,
+    cleaning: {
+      ...cleaningConfig,
+      enabled: !values['no-clean'] && cleaningConfig.enabled !== false,
+      ruleFiles: values['clean-rules'] || cleaningConfig.ruleFiles,
+      blocklistFiles: values.blocklist || cleaningConfig.blocklistFiles
+    },
+    paragraphs: values.paragraphs || config.paragraphs,
+    dedupe: values.dedupe || config.dedupe,
+    jobs: values.jobs || config.jobs,
+    bookTimeout: values['book-timeout'] || config.bookTimeout,
+    force: values.force || config.force,
+    dryRun: values['dry-run'] || config.dryRun,
+    logLevel,
+    logFormat
+  };
 }
 
-async function checkDependencies() {
-  try {
-    require.resolve('iconv-lite');
-  } catch {
-    console.log('Installing required dependencies...');
-    const { execSync } = require('child_process');
-    execSync('npm install iconv-lite', { stdio: 'inherit' });
+async function main(argv) {
+  const { help, logLevel, logFormat, ...options } = await loadOptions(argv);
+  if (help) {
+    console.log(USAGE);
+    return null;
   }
+  log.configure({ level: logLevel, json: logFormat === 'json' });
+  return lib.processDirectory(options);
+}
+
+if (require.main === module) {
+  // Failed archives and books are logged as they happen; the run still
+  // has to fail so partial results are not taken for complete ones
+  main(process.argv.slice(2)).then(result => {
+    if (result && result.errors.length > 0) process.exitCode = 1;
+  }, error => {
+    log.error('Error', { error });
+    process.exit(1);
+  });
 }
 
-checkDependencies().then(() => {
-  const selectedFiles = process.argv.slice(2);
-  processFiles(selectedFiles);
-});
+module.exports = {
+  ...lib,
+  loadOptions,
+  main
+};
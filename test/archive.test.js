@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const iconv = require('iconv-lite');
+const { readZipEntryNames } = require('../scripts/lib/archive');
+const { extractArchive } = require('../scripts/lib/extractors');
+const { fixture, createTempDir } = require('./helpers');
+
+test('GBK entry names without the UTF-8 flag are decoded as GBK', async () => {
+  const entries = await readZipEntryNames(fixture('gbk-names.zip'));
+  assert.deepEqual(entries.map(entry => [entry.name, entry.nameEncoding]), [['测试之书.txt', 'gbk']]);
+  assert.equal(iconv.decode(Buffer.from(entries[0].rawName, 'hex'), 'gbk'), '测试之书.txt');
+});
+
+test('extractArchive writes GBK-named entries under their decoded names', async t => {
+  const dir = await createTempDir(t);
+  const found = await extractArchive(fixture('gbk-names.zip'), dir);
+  assert.deepEqual(found.map(entry => entry.name), ['测试之书.txt']);
+  assert.equal(found[0].nameEncoding, 'gbk');
+  assert.equal(found[0].path, path.join(dir, '测试之书.txt'));
+  assert.ok(await fs.pathExists(found[0].path));
+});
+
+test('entries that would land outside the destination reject the archive', async t => {
+  const dir = await createTempDir(t);
+  const dest = path.join(dir, 'out');
+  await assert.rejects(extractArchive(fixture('zip-slip.zip'), dest), /Unsafe entry path/);
+  assert.equal(await fs.pathExists(path.join(dir, 'escaped.txt')), false);
+  assert.equal(await fs.pathExists(path.join(path.dirname(dir), 'escaped.txt')), false);
+});
+
+test('archives over the extraction limits are rejected before writing', async t => {
+  const dir = await createTempDir(t);
+  await assert.rejects(
+    extractArchive(fixture('gbk-names.zip'), dir, { limits: { maxBytes: 10 } }),
+    /unpacks to more than/
+  );
+  assert.deepEqual(await fs.readdir(dir), []);
+});
+
+test('a gzip file larger than its header says is stopped while extracting', async t => {
+  const dir = await createTempDir(t);
+  const archive = path.join(dir, 'book.txt.gz');
+  const compressed = zlib.gzipSync(Buffer.from('第一章 开始\n'.repeat(100000)));
+  // The trailer holds the uncompressed size modulo 4 GiB; claim 1000 bytes
+  compressed.writeUInt32LE(1000, compressed.length - 4);
+  await fs.writeFile(archive, compressed);
+
+  const dest = path.join(dir, 'out');
+  await assert.rejects(extractArchive(archive, dest), /unpacks to more than its listing says/);
+  for (const name of await fs.readdir(dest)) {
+    assert.ok((await fs.stat(path.join(dest, name))).size <= 1000);
+  }
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const { splitChapters } = require('../scripts/lib');
+const { fixture } = require('./helpers');
+
+const TITLES = ['第一章 初见', '第二章 远行', '第三章 归来'];
+
+for (const file of ['utf8.txt', 'utf8-bom.txt', 'gb18030.txt', 'utf16le.txt', 'utf16be.txt', 'crlf.txt']) {
+  test(`splitChapters finds three chapters in ${file}`, async () => {
+    const book = await splitChapters(await fs.readFile(fixture(file)));
+    assert.equal(book.headingPattern, 'zh-chapter');
+    assert.deepEqual(book.chapters.map(chapter => chapter.title), TITLES);
+    assert.deepEqual(book.chapters.map(chapter => chapter.number), [1, 2, 3]);
+    assert.equal(book.preface.title, '测试之书');
+    assert.equal(book.preface.author, '佚名');
+  });
+}
+
+test('Big5 text keeps its Traditional characters, or converts with t2s', async () => {
+  const input = await fs.readFile(fixture('big5.txt'));
+  const book = await splitChapters(input);
+  assert.deepEqual(book.chapters.map(chapter => chapter.title), ['第一章 初見', '第二章 遠行', '第三章 歸來']);
+
+  const converted = await splitChapters(input, { conversion: 't2s' });
+  assert.deepEqual(converted.chapters.map(chapter => chapter.title), TITLES);
+});
+
+test('conversions are only the listed ones, not Object.prototype keys', async () => {
+  for (const conversion of ['toString', 'constructor', '__proto__']) {
+    await assert.rejects(splitChapters('第一章 起\n正文', { conversion }), /Unsupported conversion/);
+  }
+});
+
+test('output formats are only the listed ones, not Object.prototype keys', async () => {
+  for (const format of ['toString', 'constructor']) {
+    await assert.rejects(splitChapters('第一章 起\n正文', { format }), /Unsupported format/);
+  }
+});
+
+test('CRLF line endings leave no carriage returns behind', async () => {
+  const book = await splitChapters(await fs.readFile(fixture('crlf.txt')));
+  for (const chapter of book.chapters) {
+    assert.ok(!chapter.title.includes('\r'));
+    assert.ok(!chapter.content.includes('\r'));
+  }
+});
+
+test('text without headings yields no chapters', async () => {
+  const book = await splitChapters(await fs.readFile(fixture('no-chapters.txt')));
+  assert.equal(book.chapters.length, 0);
+  assert.match(book.preface.content, /没有任何章节标题/);
+});
+
+test('headings in the middle of a line do not start chapters', async () => {
+  const book = await splitChapters(await fs.readFile(fixture('mid-line-headings.txt')));
+  assert.deepEqual(book.chapters.map(chapter => chapter.title), ['第一章 开端', '第二章 转折', '第三章 结尾']);
+  assert.match(book.chapters[0].content, /第二章的内容/);
+  assert.match(book.chapters[1].content, /第六章 终局/);
+});
+
+test('strings are split the same as the buffers they decode to', async () => {
+  const fromBuffer = await splitChapters(await fs.readFile(fixture('utf8.txt')));
+  const fromString = await splitChapters(await fs.readFile(fixture('utf8.txt'), 'utf8'));
+  assert.deepEqual(fromString.volumes, fromBuffer.volumes);
+});
+
+test('paragraphs option returns paragraphs instead of content', async () => {
+  const book = await splitChapters(await fs.readFile(fixture('utf8.txt')), { paragraphs: true });
+  assert.deepEqual(book.chapters[0].paragraphs, ['清晨的阳光洒在小镇上，少年推开了木门。', '街上已经有了早起的行人。']);
+  assert.equal(book.chapters[0].content, undefined);
+});
+
+test('custom heading patterns work with the g and y flags', async () => {
+  for (const headingPatterns of [[{ pattern: '^第.章', flags: 'g' }], [{ pattern: '^第.章', flags: 'gy' }]]) {
+    const book = await splitChapters(await fs.readFile(fixture('utf8.txt')), { headingPatterns });
+    assert.deepEqual(book.chapters.map(chapter => chapter.title), TITLES);
+  }
+});
+
+test('headings repeated after a numbering restart are not duplicates', async () => {
+  const chapters = ['第一章 起', '第二章 承', '第三章 转', '第三章 转', '第四章 合'];
+  const volume = title => [title, ...chapters.flatMap(heading => [heading, '正文。', '又一段。'])].join('\n');
+  const book = await splitChapters(`${volume('第一卷 上')}\n${volume('第二卷 下')}`);
+  assert.equal(book.headingPattern, 'zh-chapter');
+  assert.equal(book.chapters.length, 10);
+  assert.deepEqual(book.validation.duplicateHeadings, [
+    { title: '第三章 转', chapters: [3, 4] },
+    { title: '第三章 转', chapters: [8, 9] }
+  ]);
+  assert.deepEqual(book.validation.outOfOrder, []);
+});
+
+test('English headings with full-width numbers are detected', async () => {
+  const book = await splitChapters('Chapter １ Start\nText.\nMore.\nChapter ２ End\nText.\nMore.\n');
+  assert.equal(book.headingPattern, 'en-chapter');
+  assert.deepEqual(book.chapters.map(chapter => [chapter.number, chapter.name]), [[1, 'Start'], [2, 'End']]);
+});
+
+test('番外篇 and similar suffixed headings start chapters', async () => {
+  const chapters = ['第一章 起', '第二章 承', '番外篇 一', '后记篇'];
+  const book = await splitChapters(chapters.flatMap(heading => [heading, '正文。', '又一段。']).join('\n'));
+  assert.deepEqual(book.chapters.map(chapter => chapter.title), chapters);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const { decode } = require('../scripts/lib');
+const { isValidUtf8, detectFileEncoding } = require('../scripts/lib/encoding');
+const { fixture } = require('./helpers');
+
+const CASES = [
+  { file: 'utf8.txt', encoding: 'utf8', bom: false },
+  { file: 'utf8-bom.txt', encoding: 'utf8', bom: true },
+  { file: 'gb18030.txt', encoding: 'gb18030', bom: false },
+  { file: 'big5.txt', encoding: 'big5', bom: false },
+  { file: 'utf16le.txt', encoding: 'utf16le', bom: true },
+  { file: 'utf16be.txt', encoding: 'utf16be', bom: true },
+  { file: 'crlf.txt', encoding: 'utf8', bom: false }
+];
+
+for (const { file, encoding, bom } of CASES) {
+  test(`decode detects ${file} as ${encoding}`, async () => {
+    const decoded = decode(await fs.readFile(fixture(file)));
+    assert.equal(decoded.encoding, encoding);
+    assert.equal(decoded.bom, bom);
+    assert.ok(!decoded.text.includes('\uFFFD'), 'no replacement characters');
+    assert.ok(!decoded.text.startsWith('\uFEFF'), 'BOM is stripped');
+    assert.match(decoded.text, /^書名|^书名/);
+  });
+
+  test(`detectFileEncoding agrees with decode for ${file}`, async () => {
+    const detected = await detectFileEncoding(fixture(file));
+    assert.equal(detected.encoding, encoding);
+  });
+}
+
+test('an encoding override skips detection', async () => {
+  const decoded = decode(await fs.readFile(fixture('gb18030.txt')), { encoding: 'GBK' });
+  assert.equal(decoded.encoding, 'gbk');
+  assert.equal(decoded.confidence, 100);
+  assert.match(decoded.text, /^书名：测试之书/);
+});
+
+test('isValidUtf8 accepts UTF-8 and rejects GB18030 and truncated sequences', async () => {
+  assert.equal(isValidUtf8(await fs.readFile(fixture('utf8.txt'))), true);
+  assert.equal(isValidUtf8(await fs.readFile(fixture('gb18030.txt'))), false);
+  assert.equal(isValidUtf8(Buffer.from([0xe4, 0xb8])), false);
+  assert.equal(isValidUtf8(Buffer.alloc(0)), true);
+});
@@ -0,0 +1,10 @@
+const { parentPort } = require('worker_threads');
+
+// Test worker for WorkerPool: answers `{ value, delay, fail }` with `value`
+// after `delay` ms, or with an error when `fail` is set
+parentPort.on('message', ({ value, delay = 0, fail }) => {
+  parentPort.postMessage({ started: true });
+  setTimeout(() => {
+    parentPort.postMessage(fail ? { error: new Error(`failed ${value}`) } : { result: value });
+  }, delay);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { transformBook, processDirectory, readJsonFile } = require('../scripts/lib');
+const { fixture, createTempDir, stable, assertGolden } = require('./helpers');
+
+// Full transforms of the fixtures compared against test/golden/. Every
+// encoding of the same text should give the same chapters; the golden files
+// pin the whole output, metadata included.
+
+const FIXTURES = ['utf8', 'utf8-bom', 'gb18030', 'big5', 'utf16le', 'utf16be', 'crlf', 'mid-line-headings'];
+
+for (const name of FIXTURES) {
+  test(`${name}.txt matches its golden output`, async t => {
+    const outputDir = await createTempDir(t);
+    const result = await transformBook(fixture(`${name}.txt`), { outputDir });
+    assert.equal(result.id, name);
+    assert.equal(result.output, `${name}.json`);
+
+    const book = await fs.readJson(path.join(outputDir, result.output));
+    await assertGolden(name, stable(book));
+  });
+}
+
+test('readJsonFile reads every output format back to the same book', async t => {
+  const outputDir = await createTempDir(t);
+  const plain = await transformBook(fixture('utf8.txt'), { outputDir });
+  const book = await readJsonFile(path.join(outputDir, plain.output));
+
+  for (const format of ['json.gz', 'brotli', 'zip']) {
+    const formatDir = path.join(outputDir, format);
+    const result = await transformBook(fixture('utf8.txt'), { outputDir: formatDir, format });
+    assert.deepEqual(stable(await readJsonFile(path.join(formatDir, result.output))), stable(book));
+  }
+});
+
+test('no-chapters.txt writes nothing', async t => {
+  const outputDir = await createTempDir(t);
+  assert.equal(await transformBook(fixture('no-chapters.txt'), { outputDir }), null);
+  assert.deepEqual(await fs.readdir(outputDir), []);
+});
+
+test('a zip with GBK entry names matches its golden output and catalog', async t => {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  await fs.copy(fixture('gbk-names.zip'), path.join(inputDir, 'gbk-names.zip'));
+
+  const run = await processDirectory({ inputDir, outputDir });
+  assert.deepEqual(run.errors, []);
+  assert.deepEqual(run.summary.added, ['gbk-names']);
+
+  const book = await fs.readJson(path.join(outputDir, 'gbk-names.json'));
+  assert.equal(book.metadata.sourceFile, '测试之书.txt');
+  await assertGolden('gbk-names', stable(book));
+
+  // The input directory is left as it was
+  assert.deepEqual(await fs.readdir(inputDir), ['gbk-names.zip']);
+
+  const catalog = await fs.readFile(path.join(outputDir, 'index.json'), 'utf8');
+  // The catalog lists books; their cleaning and validation reports stay in the book
+  const { processedAt, ...entry } = JSON.parse(catalog).books[0];
+  assert.ok(processedAt);
+  assert.deepEqual(entry, {
+    id: 'gbk-names',
+    title: book.metadata.title,
+    author: book.metadata.author,
+    sourceFile: '测试之书.txt',
+    sourceZip: 'gbk-names.zip',
+    chapterCount: book.metadata.chapterCount,
+    characterCount: book.metadata.characterCount,
+    encoding: book.metadata.encoding,
+    hash: book.metadata.hash,
+    file: 'gbk-names.json'
+  });
+  const rerun = await processDirectory({ inputDir, outputDir });
+  assert.deepEqual(rerun.summary.skipped, ['gbk-names']);
+  // Nothing changed, so the catalog keeps its updatedAt
+  assert.equal(await fs.readFile(path.join(outputDir, 'index.json'), 'utf8'), catalog);
+});
@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { configureLogging } = require('../scripts/lib');
+
+// Shared by the tests: fixture paths, scratch directories and golden files.
+// Run `UPDATE_GOLDEN=1 node --test test/` to rewrite the golden files after
+// an intended output change, and review the diff before committing.
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+configureLogging({ level: 'error' });
+
+function fixture(name) {
+  return path.join(FIXTURES_DIR, name);
+}
+
+async function createTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'novels-test-'));
+  t.after(() => fs.remove(dir));
+  return dir;
+}
+
+// Drops what legitimately changes from run to run
+function stable(book) {
+  const copy = JSON.parse(JSON.stringify(book));
+  if (copy.metadata) delete copy.metadata.processedAt;
+  return copy;
+}
+
+async function assertGolden(name, actual) {
+  const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+  if (process.env.UPDATE_GOLDEN) {
+    await fs.outputJson(goldenPath, actual, { spaces: 2 });
+    return;
+  }
+  if (!(await fs.pathExists(goldenPath))) {
+    assert.fail(`Missing golden file ${path.relative(process.cwd(), goldenPath)}; run with UPDATE_GOLDEN=1 to create it`);
+  }
+  assert.deepStrictEqual(actual, await fs.readJson(goldenPath));
+}
+
+module.exports = {
+  fixture,
+  createTempDir,
+  stable,
+  assertGolden
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { WorkerPool } = require('../scripts/lib/pool');
+const { processDirectory } = require('../scripts/lib');
+const { fixture, createTempDir, stable } = require('./helpers');
+
+const SLOW_WORKER = fixture('slow-worker.js');
+
+test('WorkerPool runs tasks on at most `size` workers and passes errors back', async t => {
+  const pool = new WorkerPool(SLOW_WORKER, { size: 2 });
+  t.after(() => pool.close());
+
+  const tasks = [1, 2, 3, 4].map(value => pool.run({ value, delay: 20 }));
+  assert.equal(pool.workers.size, 2);
+  assert.deepEqual(await Promise.all(tasks), [1, 2, 3, 4]);
+
+  await assert.rejects(pool.run({ value: 5, fail: true }), /failed 5/);
+  assert.equal(await pool.run({ value: 6 }), 6);
+});
+
+test('WorkerPool stops a task past its timeout and carries on with a new worker', async t => {
+  const pool = new WorkerPool(SLOW_WORKER, { size: 1 });
+  t.after(() => pool.close());
+
+  const slow = pool.run({ value: 1, delay: 10000 }, { timeout: 50 });
+  const next = pool.run({ value: 2 }, { timeout: 5000 });
+  await assert.rejects(slow, /Timed out after 0.05s/);
+  assert.equal(await next, 2);
+});
+
+// Copies every text fixture into a fresh input directory and processes it
+async function run(t, options) {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  for (const name of ['utf8', 'gb18030', 'big5', 'utf16le', 'crlf', 'mid-line-headings', 'no-chapters']) {
+    await fs.copy(fixture(`${name}.txt`), path.join(inputDir, `${name}.txt`));
+  }
+  const progress = [];
+  const result = await processDirectory({ inputDir, outputDir, onProgress: event => progress.push(event), ...options });
+  return { outputDir, result, progress };
+}
+
+test('books processed in workers come out the same as in this thread', async t => {
+  const inline = await run(t, { jobs: 0 });
+  const pooled = await run(t, { jobs: 3 });
+
+  assert.deepEqual(pooled.result.errors, []);
+  assert.deepEqual(pooled.result.results.map(result => result.id), inline.result.results.map(result => result.id));
+  assert.deepEqual(pooled.progress.map(event => event.done), [1, 2, 3, 4, 5, 6, 7]);
+  assert.equal(pooled.progress.find(event => event.id === 'no-chapters').status, 'empty');
+
+  const files = (await fs.readdir(inline.outputDir)).sort();
+  assert.deepEqual((await fs.readdir(pooled.outputDir)).sort(), files);
+  for (const file of files.filter(name => name !== 'manifest.json')) {
+    const [expected, actual] = await Promise.all([inline, pooled].map(({ outputDir }) => fs.readJson(path.join(outputDir, file))));
+    if (file === 'index.json') {
+      const entries = catalog => catalog.books.map(({ processedAt, ...entry }) => entry);
+      assert.deepEqual(entries(actual), entries(expected));
+    } else {
+      assert.deepEqual(stable(actual), stable(expected), file);
+    }
+  }
+});
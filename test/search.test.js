@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { transformBook, processDirectory, readJsonFile } = require('../scripts/lib');
+const { tokenize, search, mergeIndexes } = require('../scripts/lib/search');
+const { fixture, createTempDir } = require('./helpers');
+
+async function buildIndex(t, name) {
+  const outputDir = await createTempDir(t);
+  const result = await transformBook(fixture(name), { outputDir, exports: ['search'] });
+  const book = await fs.readJson(path.join(outputDir, result.output));
+  const index = await fs.readJson(path.join(outputDir, result.exports[0]));
+  return { book, index };
+}
+
+// Every hit should point at the query text in the chapter it names
+function assertHits(book, results, query) {
+  const chapters = book.volumes.flatMap(volume => volume.chapters);
+  for (const result of results) {
+    assert.equal(result.title, chapters[result.chapter].title);
+    for (const hit of result.hits) {
+      assert.equal(chapters[result.chapter].content.substr(hit.offset, hit.length), query);
+    }
+  }
+}
+
+test('tokenize splits CJK runs into bigrams and keeps Latin words whole', () => {
+  assert.deepEqual(tokenize('你好吗 Hello，ＡＢＣ 2024年'), [
+    { term: '你好', offset: 0, single: false },
+    { term: '好吗', offset: 1, single: false },
+    { term: 'hello', offset: 4, single: false },
+    { term: 'abc', offset: 10, single: false },
+    { term: '2024', offset: 14, single: false },
+    { term: '年', offset: 18, single: true }
+  ]);
+});
+
+test('a book index finds phrases by chapter and offset', async t => {
+  const { book, index } = await buildIndex(t, 'utf8.txt');
+  assert.deepEqual(index.books.map(entry => entry.chapters), [['第一章 初见', '第二章 远行', '第三章 归来']]);
+
+  const results = search(index, '小镇');
+  assert.deepEqual(results.map(result => result.chapter).sort(), [0, 2]);
+  assertHits(book, results, '小镇');
+
+  const phrase = search(index, '踏上了旅途');
+  assert.deepEqual(phrase.map(result => result.chapter), [1]);
+  assertHits(book, phrase, '踏上了旅途');
+
+  assert.deepEqual(search(index, '旅途小镇'), []);
+  assert.deepEqual(search(index, '小镇 旅途'), []);
+});
+
+test('single characters match inside longer runs', async t => {
+  const { book, index } = await buildIndex(t, 'utf8.txt');
+  const results = search(index, '他');
+  assert.deepEqual(results.map(result => result.chapter).sort(), [1, 2]);
+  assertHits(book, results, '他');
+});
+
+test('mergeIndexes numbers chapters across books', async t => {
+  const first = await buildIndex(t, 'utf8.txt');
+  const second = await buildIndex(t, 'mid-line-headings.txt');
+  const merged = mergeIndexes([first.index, second.index]);
+
+  const results = search(merged, '他', { limit: 100 });
+  const expected = [first, second].flatMap(({ index }, book) =>
+    search(index, '他', { limit: 100 }).map(result => ({ ...result, book })));
+  assert.deepEqual(results.map(result => result.bookId).sort(), ['mid-line-headings', 'mid-line-headings', 'utf8', 'utf8']);
+  const byPosition = (a, b) => a.book - b.book || a.chapter - b.chapter;
+  assert.deepEqual(results.sort(byPosition), expected.sort(byPosition));
+});
+
+test('processDirectory writes a library index when asked', async t => {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  await fs.copy(fixture('utf8.txt'), path.join(inputDir, 'a.txt'));
+  await fs.copy(fixture('crlf.txt'), path.join(inputDir, 'b.txt'));
+
+  const run = await processDirectory({ inputDir, outputDir, searchIndex: 'library' });
+  assert.deepEqual(run.errors, []);
+  assert.deepEqual(run.results.map(result => result.exports), [['a.search.json'], ['b.search.json']]);
+
+  const library = await fs.readJson(path.join(outputDir, 'search-index.json'));
+  assert.deepEqual(library.books.map(book => book.id), ['a', 'b']);
+  assert.deepEqual(search(library, '少年').map(result => result.bookId).sort(), ['a', 'b']);
+
+  // Without a library index the old one goes, along with the book indexes
+  const rerun = await processDirectory({ inputDir, outputDir, searchIndex: 'none' });
+  assert.deepEqual(rerun.errors, []);
+  assert.deepEqual((await fs.readdir(outputDir)).sort(), ['a.json', 'b.json', 'index.json', 'manifest.json']);
+});
+
+test('search indexes follow the output format', async t => {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  await fs.copy(fixture('utf8.txt'), path.join(inputDir, 'a.txt'));
+
+  const run = await processDirectory({ inputDir, outputDir, searchIndex: 'library', format: 'json.gz' });
+  assert.deepEqual(run.errors, []);
+  assert.deepEqual(run.results.map(result => result.exports), [['a.search.json.gz']]);
+  const book = await readJsonFile(path.join(outputDir, 'a.search.json.gz'));
+  const library = await readJsonFile(path.join(outputDir, 'search-index.json.gz'));
+  assert.deepEqual(library.terms, book.terms);
+
+  await processDirectory({ inputDir, outputDir, searchIndex: 'library' });
+  assert.equal(await fs.pathExists(path.join(outputDir, 'search-index.json.gz')), false);
+  assert.deepEqual((await readJsonFile(path.join(outputDir, 'search-index.json'))).terms, book.terms);
+});
+
+test('words that name Object.prototype properties are ordinary terms', async t => {
+  const dir = await createTempDir(t);
+  const input = path.join(dir, 'english.txt');
+  await fs.writeFile(input, 'Chapter 1 Start\nThe constructor called toString.\n\nChapter 2 End\nNothing else.\n');
+  const outputDir = path.join(dir, 'result');
+  const result = await transformBook(input, { outputDir, exports: ['search'] });
+  const index = await fs.readJson(path.join(outputDir, result.exports[0]));
+
+  assert.deepEqual(search(index, 'constructor').map(found => [found.chapter, found.hits]), [[0, [{ offset: 4, length: 11 }]]]);
+  assert.deepEqual(search(index, 'hasOwnProperty'), []);
+  assert.deepEqual(search(index, 'valueOf'), []);
+
+  const merged = mergeIndexes([index, index]);
+  assert.deepEqual(search(merged, 'tostring').map(found => [found.book, found.chapter]), [[0, 0], [1, 0]]);
+});
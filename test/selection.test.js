@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const { createSelector } = require('../scripts/lib/selection');
+const { processDirectory } = require('../scripts/lib');
+const { fixture, createTempDir } = require('./helpers');
+
+test('a plain name matches an output ID, an archive name or its TXT file', () => {
+  const selector = createSelector(['1', '书名']);
+  assert.equal(selector.matches(['1', '1.zip', 'book.txt']), true);
+  assert.equal(selector.matches(['2', '2.zip', '书名.txt']), true);
+  assert.equal(selector.matches(['3', '3.zip', '1.zip']), false);
+  assert.deepEqual(selector.unmatched(), []);
+});
+
+test('names with an extension and globs match as given', () => {
+  const selector = createSelector(['a.txt', 'b.zip', 'dir/*.txt']);
+  assert.equal(selector.matches(['a.txt']), true);
+  assert.equal(selector.matches(['a.txt.txt', 'a']), false);
+  assert.equal(selector.matches(['b.zip']), true);
+  assert.equal(selector.matches(['b.zip.txt', 'b']), false);
+  assert.equal(selector.matches(['dir/x.txt']), true);
+  assert.equal(selector.matches(['dir/sub/x.txt']), false);
+});
+
+test('processDirectory selects a book inside an archive by its output ID', async t => {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  await fs.copy(fixture('gbk-names.zip'), path.join(inputDir, 'gbk-names.zip'));
+  await fs.copy(fixture('utf8.txt'), path.join(inputDir, 'other.txt'));
+
+  const run = await processDirectory({ inputDir, outputDir, select: ['gbk-names'], jobs: 0 });
+  assert.deepEqual(run.errors, []);
+  assert.deepEqual(run.summary.added, ['gbk-names']);
+  assert.deepEqual(run.results.map(result => result.id), ['gbk-names']);
+});
+
+test('unselected unchanged TXT files keep their IDs', async t => {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  await fs.copy(fixture('utf8.txt'), path.join(inputDir, 'a.txt'));
+  await processDirectory({ inputDir, outputDir, jobs: 0 });
+
+  const zip = new JSZip();
+  zip.file('a.txt', await fs.readFile(fixture('crlf.txt')));
+  await fs.writeFile(path.join(inputDir, 'a.zip'), await zip.generateAsync({ type: 'nodebuffer' }));
+
+  const run = await processDirectory({ inputDir, outputDir, select: ['a.zip'], jobs: 0 });
+  assert.deepEqual(run.errors, []);
+  assert.equal(run.results.length, 1);
+  assert.notEqual(run.results[0].id, 'a');
+  assert.deepEqual(run.summary.skipped, []);
+
+  const manifest = await fs.readJson(path.join(outputDir, 'manifest.json'));
+  assert.equal(manifest.sources['a.txt'].books[0].output, 'a.json');
+  assert.notEqual(manifest.sources['a.zip'].books[0].output, 'a.json');
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const { processDirectory, createPreviewServer } = require('../scripts/lib');
+const { fixture, createTempDir } = require('./helpers');
+
+// Starts a preview server over a fresh transform of utf8.txt and returns a
+// `get(path)` resolving to `{ status, type, body }`
+async function serve(t, options = {}) {
+  const dir = await createTempDir(t);
+  const inputDir = path.join(dir, 'data');
+  const outputDir = path.join(dir, 'result');
+  await fs.copy(fixture('utf8.txt'), path.join(inputDir, 'book.txt'));
+  await processDirectory({ inputDir, outputDir, ...options });
+
+  const server = createPreviewServer(outputDir);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async urlPath => {
+    const response = await fetch(base + urlPath);
+    const type = response.headers.get('content-type');
+    const body = type.startsWith('application/json') ? await response.json() : await response.text();
+    return { status: response.status, type, body };
+  };
+}
+
+test('the API lists books, contents and chapters', async t => {
+  const get = await serve(t);
+
+  const { body: library } = await get('/api/books');
+  assert.deepEqual(library.books.map(book => [book.id, book.title, book.chapterCount]), [['book', '测试之书', 3]]);
+
+  const { body: book } = await get('/api/books/book');
+  assert.equal(book.preface.author, '佚名');
+  assert.deepEqual(book.volumes, [{
+    title: null,
+    chapters: [{ n: 1, title: '第一章 初见' }, { n: 2, title: '第二章 远行' }, { n: 3, title: '第三章 归来' }]
+  }]);
+
+  const { body: chapter } = await get('/api/books/book/chapters/2');
+  assert.equal(chapter.title, '第二章 远行');
+  assert.equal(chapter.content, '他背起行囊，踏上了旅途。\n一路上山高水长，风景很好。');
+  assert.deepEqual([chapter.n, chapter.count, chapter.prev, chapter.next], [2, 3, 1, 3]);
+});
+
+test('split, compressed books read the same as single files', async t => {
+  const get = await serve(t, { outputMode: 'split', format: 'json.gz', packSize: 2, formatVersion: 1, paragraphs: true });
+
+  const { body: last } = await get('/api/books/book/chapters/3');
+  assert.equal(last.title, '第三章 归来');
+  assert.deepEqual(last.paragraphs, ['多年以后，他回到了故乡。', '小镇还是当年的样子。']);
+  assert.deepEqual([last.prev, last.next], [2, null]);
+});
+
+test('reading pages link chapters in order', async t => {
+  const get = await serve(t);
+
+  const contents = await get('/books/book');
+  assert.equal(contents.status, 200);
+  assert.match(contents.body, /<a href="\/books\/book\/chapters\/3">第三章 归来<\/a>/);
+
+  const { body: page } = await get('/books/book/chapters/1');
+  assert.match(page, /<p>清晨的阳光洒在小镇上，少年推开了木门。<\/p>/);
+  assert.match(page, /rel="next" href="\/books\/book\/chapters\/2"/);
+  assert.doesNotMatch(page, /rel="prev"/);
+});
+
+test('unknown books, chapters and paths outside the result directory are 404', async t => {
+  const get = await serve(t);
+
+  for (const urlPath of ['/api/books/missing', '/api/books/book/chapters/0', '/api/books/book/chapters/4', '/books/missing']) {
+    assert.equal((await get(urlPath)).status, 404, urlPath);
+  }
+  assert.equal((await get('/files/..%2f..%2fetc%2fpasswd')).status, 404);
+  assert.equal((await get('/files/index.json')).body.books[0].id, 'book');
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitPartMarker, groupParts } = require('../scripts/lib/sources');
+
+test('part markers are read from brackets, units and separators', () => {
+  assert.deepEqual(splitPartMarker('书名（上）作者：某某.txt'), { stem: '书名作者：某某', order: 1 });
+  assert.deepEqual(splitPartMarker('书名【下册】.txt'), { stem: '书名', order: 3 });
+  assert.deepEqual(splitPartMarker('书名 part 2.txt'), { stem: '书名', order: 2 });
+  assert.deepEqual(splitPartMarker('书名上部.txt'), { stem: '书名', order: 1 });
+  assert.deepEqual(splitPartMarker('书名 下.txt'), { stem: '书名', order: 3 });
+});
+
+test('names that merely end in 上, 中 or 下 are not parts', () => {
+  assert.equal(splitPartMarker('天上.txt'), null);
+  assert.equal(splitPartMarker('天下.txt'), null);
+  const books = groupParts([{ name: '天上.txt' }, { name: '天下.txt' }]);
+  assert.equal(books.length, 2);
+});